@@ -2,8 +2,10 @@ const jwt           = require('jsonwebtoken');
 
 const jwtPrivate    = process.env.JWT_TOKEN; 
 
+const { isSessionActive } = require('../services/auth');
 
-module.exports = function(req, res, next) {
+
+module.exports = async function(req, res, next) {
     try {
         let token   = req.header('x-auth-token');
 
@@ -18,6 +20,14 @@ module.exports = function(req, res, next) {
 
         let user    = jwt.verify(token, jwtPrivate);
 
+        // The token is still valid, but the user may have logged out OR an admin revoked the session.
+        if(!(await isSessionActive(user.sid))) {
+            return res.status(401).json({
+                status: false,
+                msg: 'Your Session Has Been Revoked, Please Login Again',
+            }).end();
+        }
+
         req.user = user;
 
         next();
@@ -0,0 +1,37 @@
+const jwt           = require('jsonwebtoken');
+
+const jwtPrivate    = process.env.JWT_TOKEN;
+
+const { isSessionActive } = require('../services/auth');
+
+// Same as auth.js, but guests without a token are let through with no req.user.
+module.exports = async function(req, res, next) {
+    try {
+        let token   = req.header('x-auth-token');
+
+        if(!token) {
+            return next();
+        }
+
+        let user    = jwt.verify(token, jwtPrivate);
+
+        if(!(await isSessionActive(user.sid))) {
+            return res.status(401).json({
+                status: false,
+                msg: 'Your Session Has Been Revoked, Please Login Again',
+            }).end();
+        }
+
+        req.user = user;
+
+        next();
+
+    } catch(e) {
+        console.error("Error Message from OptionalAuth Middleware is: ", e.message);
+
+        return res.status(400).json({
+            status: false,
+            msg: e.message,
+        }).end();
+    }
+}
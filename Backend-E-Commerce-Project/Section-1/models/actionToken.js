@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// The tokens we mail to the users ("verify email", "forgot password").
+// The token itself is a signed JWT, this record makes it single-use.
+const actionTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    purpose: {
+        type: String,
+        enum: ['verify-email', 'reset-password'],
+        required: true,
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+
+    usedAt: {
+        type: Date,
+    },
+});
+
+// MongoDB removes the expired tokens by itself.
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ActionToken = mongoose.model('ActionToken', actionTokenSchema);
+
+module.exports.ActionToken = ActionToken;
+module.exports.actionTokenSchema = actionTokenSchema;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// One line of the cart, price is the unit price from the last re-pricing.
+const cartItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+
+    price: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+}, { _id: false });
+
+// A cart belongs either to a user or to a guest identified by cartToken.
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        unique: true,
+        sparse: true,
+    },
+
+    cartToken: {
+        type: String,
+        unique: true,
+        sparse: true,
+    },
+
+    items: {
+        type: [ cartItemSchema ],
+        default: [],
+    },
+
+    dateUpdated: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+cartSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+cartSchema.virtual('totalPrice').get(function() {
+    return this.items.reduce((total, item) => total + item.price * item.quantity, 0);
+});
+
+cartSchema.set('toJSON', {
+    virtuals: true,
+});
+
+cartSchema.methods.findItem = function(productId) {
+    return this.items.find(item => item.product.toString() === productId.toString());
+}
+
+// Moves the guest cart lines into the user's cart, called at login.
+cartSchema.statics.mergeGuestCart = async function(cartToken, userId) {
+    const guestCart = await this.findOne({ cartToken: cartToken, user: { $exists: false } });
+
+    if(!guestCart) {
+        return null;
+    }
+
+    let userCart = await this.findOne({ user: userId });
+
+    if(!userCart) {
+        // No cart for the user yet, so the guest cart just changes owner.
+        guestCart.user = userId;
+        guestCart.cartToken = undefined;
+        guestCart.dateUpdated = Date.now();
+
+        return guestCart.save();
+    }
+
+    guestCart.items.forEach(guestItem => {
+        let item = userCart.findItem(guestItem.product);
+
+        if(item) {
+            item.quantity += guestItem.quantity;
+        } else {
+            userCart.items.push(guestItem.toObject());
+        }
+    });
+
+    userCart.dateUpdated = Date.now();
+
+    await guestCart.deleteOne();
+
+    return userCart.save();
+}
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports.Cart = Cart;
+module.exports.cartSchema = cartSchema;
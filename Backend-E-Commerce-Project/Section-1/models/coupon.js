@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free-shipping'];
+
+const couponSchema = new mongoose.Schema({
+    // Always stored in upper case, clients can type it as they want.
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true,
+        minlength: 3,
+        maxlength: 30,
+    },
+
+    description: {
+        type: String,
+        default: '',
+    },
+
+    type: {
+        type: String,
+        enum: COUPON_TYPES,
+        required: true,
+    },
+
+    // The percent for percentage coupons, the amount for fixed ones, unused for free-shipping.
+    value: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+
+    // When both are empty the coupon is for the whole order, else only the
+    // lines of these products OR categories get the discount.
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+    }],
+
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+    }],
+
+    minOrderValue: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+
+    // null means no limit.
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: 1,
+    },
+
+    perUserLimit: {
+        type: Number,
+        default: null,
+        min: 1,
+    },
+
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+
+    startsAt: {
+        type: Date,
+    },
+
+    expiresAt: {
+        type: Date,
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+couponSchema.path('value').validate(function(value) {
+    return this.type !== 'percentage' || value <= 100;
+}, 'A percentage coupon value must be between 0 and 100');
+
+couponSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+couponSchema.set('toJSON', {
+    virtuals: true,
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports.Coupon = Coupon;
+module.exports.couponSchema = couponSchema;
+module.exports.COUPON_TYPES = COUPON_TYPES;
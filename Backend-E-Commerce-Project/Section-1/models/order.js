@@ -1,5 +1,73 @@
 const mongoose = require('mongoose');
 
+// The lifecycle of an order, every status lists the statuses it can move to.
+// NOTE: An order that isn't shipped yet is cancelled (its stock goes back),
+// refunded is only for orders that left the store.
+const ORDER_STATUS_TRANSITIONS = {
+    pending:    ['paid', 'cancelled'],
+    paid:       ['shipped', 'cancelled'],
+    shipped:    ['delivered', 'refunded'],
+    delivered:  ['refunded'],
+    cancelled:  [],
+    refunded:   [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true,
+    },
+
+    from: {
+        type: String,
+        enum: ORDER_STATUSES,
+    },
+
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    note: {
+        type: String,
+        default: '',
+        maxlength: 500,
+    },
+
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// A discount applied to the order, one line per coupon.
+const discountSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+    },
+
+    type: {
+        type: String,
+        required: true,
+    },
+
+    description: {
+        type: String,
+        default: '',
+    },
+
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+}, { _id: false });
+
 // The Products
 
 const orderSchema = new mongoose.Schema({
@@ -44,9 +112,42 @@ const orderSchema = new mongoose.Schema({
 
     status: {
         type: String,
+        enum: ORDER_STATUSES,
         default: 'pending',
     },
 
+    statusHistory: {
+        type: [ statusHistorySchema ],
+        default: [],
+    },
+
+    // The sum of the order items, before shipping and discounts.
+    subtotal: {
+        type: Number,
+        default: 0,
+    },
+
+    shippingPrice: {
+        type: Number,
+        default: 0,
+    },
+
+    discounts: {
+        type: [ discountSchema ],
+        default: [],
+    },
+
+    discountTotal: {
+        type: Number,
+        default: 0,
+    },
+
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+    },
+
+    // What the user pays: subtotal + shippingPrice - discountTotal.
     totalPrice: {
         type: Number,
         default: 1,
@@ -64,6 +165,12 @@ const orderSchema = new mongoose.Schema({
     }
 });
 
+orderSchema.statics.canChangeStatus = function(from, to) {
+    const next = ORDER_STATUS_TRANSITIONS[from];
+
+    return Array.isArray(next) && next.includes(to);
+}
+
 const OrderModel = mongoose.model('Order', orderSchema);
 
 
@@ -76,4 +183,6 @@ orderSchema.set('toJSON', {
 });
 
 exports.Order = OrderModel;
-exports.orderSchema = orderSchema;
\ No newline at end of file
+exports.orderSchema = orderSchema;
+exports.ORDER_STATUSES = ORDER_STATUSES;
+exports.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
\ No newline at end of file
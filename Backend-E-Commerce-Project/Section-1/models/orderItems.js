@@ -13,7 +13,13 @@ const orderItemShema = new mongoose.Schema({
     quantity: {
         type: Number,
         required: true,
-    }
+    },
+
+    // The unit price when the order was placed, so later price changes don't touch old orders.
+    price: {
+        type: Number,
+        min: 0,
+    },
 });
 
 const OrderItem = mongoose.model('OrderItem', orderItemShema);
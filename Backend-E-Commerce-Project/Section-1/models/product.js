@@ -23,6 +23,11 @@ const productSchema = new mongoose.Schema({
         default: '',
     },
 
+    thumbnail: {
+        type: String,
+        default: '',
+    },
+
     images: {
         type: [ String ],
         default: ''
@@ -73,6 +78,12 @@ const productSchema = new mongoose.Schema({
     },
 });
 
+// Used by the search query parameter of GET /products.
+productSchema.index(
+    { name: 'text', brand: 'text', description: 'text' },
+    { weights: { name: 10, brand: 5, description: 1 }, name: 'product_text_search' }
+);
+
 productSchema.virtual('id').get(function() {
     return this._id.toHexString();
 });
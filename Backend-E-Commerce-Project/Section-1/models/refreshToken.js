@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// We only store the sha256 of the refresh token, so a leaked DB can't be used to login.
+const refreshTokenSchema = new mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // All the tokens rotated from the same login share the session,
+    // the access tokens carry it as "sid".
+    session: {
+        type: String,
+        required: true,
+        index: true,
+    },
+
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+
+    revokedAt: {
+        type: Date,
+    },
+
+    // The hash of the token that replaced this one at refresh.
+    replacedBy: {
+        type: String,
+    },
+
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// MongoDB removes the expired tokens by itself.
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports.RefreshToken = RefreshToken;
+module.exports.refreshTokenSchema = refreshTokenSchema;
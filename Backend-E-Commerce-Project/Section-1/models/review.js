@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5,
+    },
+
+    comment: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: 2000,
+    },
+
+    // Admins hide a review by setting this to false, hidden reviews don't count in the rating.
+    isApproved: {
+        type: Boolean,
+        default: true,
+    },
+
+    dateCreated: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// One review per user for every product.
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+reviewSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+reviewSchema.set('toJSON', {
+    virtuals: true,
+});
+
+// Recomputes Product.rating and Product.numReviews from the approved reviews.
+reviewSchema.statics.updateProductRating = async function(productId) {
+    const stats = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId), isApproved: true } },
+        {
+            $group: {
+                _id: '$product',
+                rating: { $avg: '$rating' },
+                numReviews: { $sum: 1 },
+            }
+        }
+    ]);
+
+    const rating     = stats.length > 0 ? Math.round(stats[0].rating * 10) / 10 : 0;
+    const numReviews = stats.length > 0 ? stats[0].numReviews : 0;
+
+    await mongoose.model('Product').updateOne(
+        { _id: productId },
+        { rating: rating, numReviews: numReviews }
+    );
+}
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports.Review = Review;
+module.exports.reviewSchema = reviewSchema;
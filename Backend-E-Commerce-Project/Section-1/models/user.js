@@ -2,6 +2,7 @@ const mongoose  = require('mongoose');
 
 const jwt       = require('jsonwebtoken');
 const jwtKey    = process.env.JWT_TOKEN;
+const accessTokenTTL = process.env.ACCESS_TOKEN_TTL || '15m';
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -65,6 +66,15 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false,
     },
+
+    isEmailVerified: {
+        type: Boolean,
+        default: false,
+    },
+
+    emailVerifiedAt: {
+        type: Date,
+    },
 });
 
 userSchema.virtual('id').get(function() {
@@ -75,10 +85,12 @@ userSchema.set('toJSON', {
     virtuals: true,
 });
 
-userSchema.methods.generateAuthToken= function() {
+// The access token lives for a short time only, the client uses its refresh
+// token to get a new one. sid is the session checked by middleware/auth.js.
+userSchema.methods.generateAuthToken= function(session) {
     let token = jwt.sign({ 
-        id: this._id, isAdmin: this.isAdmin 
-    }, jwtKey, { expiresIn: '1w' }) // also we have 1d.
+        id: this._id, isAdmin: this.isAdmin, sid: session,
+    }, jwtKey, { expiresIn: accessTokenTTL }) // like 15m, 1h OR 1d.
 
     return token;
 }
@@ -0,0 +1,266 @@
+const express   = require("express");
+const router    = express.Router();
+const mongoose  = require('mongoose');
+const crypto    = require('crypto');
+
+// The Models
+const { Cart }      = require('../models/cart');
+const { Product }   = require('../models/product');
+
+// The Services
+const { placeOrder } = require('../services/order');
+
+// The Middlewares
+const objectId      = require('../middleware/objectId');
+const auth          = require('../middleware/auth');
+const optionalAuth  = require('../middleware/optionalAuth');
+
+// NOTE: Logged in users get their own cart, guests are identified
+// by the x-cart-token header that we send back when their cart is created.
+async function findCart(req) {
+    if(req.user) {
+        return Cart.findOne({ user: req.user.id });
+    }
+
+    const cartToken = req.header('x-cart-token');
+
+    if(!cartToken) {
+        return null;
+    }
+
+    return Cart.findOne({ cartToken: cartToken, user: { $exists: false } });
+}
+
+function newCart(req) {
+    if(req.user) {
+        return new Cart({ user: req.user.id });
+    }
+
+    return new Cart({ cartToken: crypto.randomBytes(24).toString('hex') });
+}
+
+// Takes the current price of every product and drops the lines
+// whose product has been deleted since it was added.
+async function repriceCart(cart) {
+    const products = await Product.find({
+        _id: { $in: cart.items.map(item => item.product) }
+    }).select('price numberInStock');
+
+    cart.items = cart.items.filter(item => {
+        let product = products.find(p => p._id.equals(item.product));
+
+        if(!product) {
+            return false;
+        }
+
+        item.price = product.price;
+
+        return true;
+    });
+}
+
+function cartResponse(res, cart, msg) {
+    if(cart.cartToken) {
+        res.header('x-cart-token', cart.cartToken);
+    }
+
+    return res.status(200).json({
+        status: true,
+        msg: msg,
+        data: cart,
+    }).end();
+}
+
+router.get('/', optionalAuth, async (req, res) => {
+    const cart = await findCart(req);
+
+    if(!cart) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Cart Found',
+        }).end();
+    }
+
+    await repriceCart(cart);
+    await cart.save();
+
+    await cart.populate('items.product', 'name image price numberInStock');
+
+    return cartResponse(res, cart, 'Successfully Getting Cart');
+});
+
+router.post('/items', optionalAuth, async (req, res) => {
+    if(!mongoose.isValidObjectId(req.body.product)) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Please Check Your Data For ProductId',
+        }).end();
+    }
+
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+    if(!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Quantity Must Be A Positive Integer',
+        }).end();
+    }
+
+    const product = await Product.findById(req.body.product);
+
+    if(!product) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Data Found For This Product Id',
+        }).end();
+    }
+
+    const cart = (await findCart(req)) || newCart(req);
+
+    let item = cart.findItem(product._id);
+    let newQuantity = item ? item.quantity + quantity : quantity;
+
+    if(newQuantity > product.numberInStock) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Not Enough Stock For This Product',
+            available: product.numberInStock,
+        }).end();
+    }
+
+    if(item) {
+        item.quantity = newQuantity;
+    } else {
+        cart.items.push({ product: product._id, quantity: newQuantity, price: product.price });
+    }
+
+    await repriceCart(cart);
+    cart.dateUpdated = Date.now();
+    await cart.save();
+
+    return cartResponse(res, cart, 'Item Added To Cart Successfully');
+});
+
+router.put('/items/:id', [objectId, optionalAuth], async (req, res) => {
+    const quantity = Number(req.body.quantity);
+
+    if(!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Quantity Must Be A Positive Integer',
+        }).end();
+    }
+
+    const cart = await findCart(req);
+    let item = cart ? cart.findItem(req.params.id) : null;
+
+    if(!item) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Item Found In Cart For This Product Id',
+        }).end();
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if(product && quantity > product.numberInStock) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Not Enough Stock For This Product',
+            available: product.numberInStock,
+        }).end();
+    }
+
+    item.quantity = quantity;
+
+    await repriceCart(cart);
+    cart.dateUpdated = Date.now();
+    await cart.save();
+
+    return cartResponse(res, cart, 'Cart Item Updated Successfully');
+});
+
+router.delete('/items/:id', [objectId, optionalAuth], async (req, res) => {
+    const cart = await findCart(req);
+    let item = cart ? cart.findItem(req.params.id) : null;
+
+    if(!item) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Item Found In Cart For This Product Id',
+        }).end();
+    }
+
+    cart.items = cart.items.filter(cartItem => cartItem !== item);
+
+    await repriceCart(cart);
+    cart.dateUpdated = Date.now();
+    await cart.save();
+
+    return cartResponse(res, cart, 'Cart Item Removed Successfully');
+});
+
+router.delete('/', optionalAuth, async (req, res) => {
+    const cart = await findCart(req);
+
+    if(!cart) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Cart Found',
+        }).end();
+    }
+
+    await cart.deleteOne();
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Cart Deleted Successfully',
+    }).end();
+});
+
+// Turns the cart of the logged in user into an Order, guests must login first
+// so their cart gets merged.
+router.post('/checkout', auth, async (req, res) => {
+    const cart = await findCart(req);
+
+    if(!cart || cart.items.length == 0) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Your Cart Is Empty',
+        }).end();
+    }
+
+    await repriceCart(cart);
+
+    const lines = cart.items.map(item => ({ product: item.product, quantity: item.quantity }));
+
+    const result = await placeOrder(req.user.id, lines, {
+        shippingAddress1: req.body.shippingAddress1,
+        shippingAddress2: req.body.shippingAddress2,
+        city: req.body.city,
+        zip: req.body.zip,
+        country: req.body.country,
+        phone: req.body.phone,
+        couponCode: req.body.couponCode,
+    });
+
+    if(result.errors) {
+        await cart.save();
+
+        return res.status(400).json({
+            status: false,
+            msg: 'Some Items In Your Cart Can\'t Be Ordered',
+            errors: result.errors,
+        }).end();
+    }
+
+    await cart.deleteOne();
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Saving Order',
+        order: result.order,
+    }).end();
+});
+
+module.exports = router;
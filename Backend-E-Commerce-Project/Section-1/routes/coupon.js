@@ -0,0 +1,138 @@
+const express   = require("express");
+const router    = express.Router();
+const _         = require('lodash');
+
+// The Models
+const { Coupon } = require('../models/coupon');
+
+// The Middlewares
+const objectId  = require('../middleware/objectId');
+const auth      = require('../middleware/auth');
+const isAdmin   = require('../middleware/isAdmin');
+
+// The fields an admin can set, usedCount is only changed by the orders.
+const COUPON_FIELDS = [
+    'code', 'description', 'type', 'value', 'products', 'categories',
+    'minOrderValue', 'usageLimit', 'perUserLimit', 'startsAt', 'expiresAt', 'isActive',
+];
+
+// All the coupon routes are for admins only.
+router.use(auth, isAdmin);
+
+router.get('/', async (req, res) => {
+    const coupons = await Coupon.find({}).sort('-dateCreated');
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Getting All Coupons',
+        data: coupons,
+    }).end();
+});
+
+router.get('/:id', objectId, async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if(!coupon) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Coupon Found For This Id',
+        }).end();
+    }
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Getting Coupon',
+        data: coupon,
+    }).end();
+});
+
+router.post('/', async (req, res) => {
+    const code = String(req.body.code || '').trim().toUpperCase();
+
+    if(await Coupon.exists({ code: code })) {
+        return res.status(400).json({
+            status: false,
+            msg: 'This Coupon Code Has Been Taken Please Change It',
+        }).end();
+    }
+
+    const coupon = new Coupon(_.pick(req.body, COUPON_FIELDS));
+
+    const error = coupon.validateSync();
+
+    if(error) {
+        return res.status(400).json({
+            status: false,
+            msg: error.message,
+        }).end();
+    }
+
+    await coupon.save();
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Coupon Created Successfully',
+        data: coupon,
+    }).end();
+});
+
+router.put('/:id', objectId, async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if(!coupon) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Coupon Found For This Id',
+        }).end();
+    }
+
+    if(req.body.code) {
+        const code = String(req.body.code).trim().toUpperCase();
+
+        if(await Coupon.exists({ code: code, _id: { $ne: coupon._id } })) {
+            return res.status(400).json({
+                status: false,
+                msg: 'This Coupon Code Has Been Taken Please Change It',
+            }).end();
+        }
+    }
+
+    coupon.set(_.pick(req.body, COUPON_FIELDS));
+
+    const error = coupon.validateSync();
+
+    if(error) {
+        return res.status(400).json({
+            status: false,
+            msg: error.message,
+        }).end();
+    }
+
+    await coupon.save();
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Coupon Updated Successfully',
+        data: coupon,
+    }).end();
+});
+
+// NOTE: The orders keep the discount lines, so deleting a used coupon is safe.
+router.delete('/:id', objectId, async (req, res) => {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if(!coupon) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Coupon Found For This Id',
+        }).end();
+    }
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Coupon Deleted Successfully',
+        data: coupon,
+    }).end();
+});
+
+module.exports = router;
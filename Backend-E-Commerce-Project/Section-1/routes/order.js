@@ -8,9 +8,12 @@ const auth = require('../middleware/auth');
 const isAdmin = require('../middleware/isAdmin');
 
 // The Models
-const { Order } = require("../models/order");
+const { Order, ORDER_STATUSES, ORDER_STATUS_TRANSITIONS } = require("../models/order");
 const { OrderItem } = require("../models/orderItems");
 
+// The Services
+const { placeOrder, releaseOrderStock } = require('../services/order');
+
 router.get('/', [auth, isAdmin], async (req, res) => {
     const orders = await Order
         .find()
@@ -69,86 +72,110 @@ router.get('/:id', [objectId, auth, isAdmin], async (req, res) => {
 });
 
 router.post('/', auth, async (req, res) => {
-    
-    let orderItemsIds = Promise.all(req.body.orderItems.map(async (orderItem) => {
-        let newOrderItem = new OrderItem({
-            quantity: orderItem.quantity,
-            product: orderItem.product,
-        });
+    // placeOrder prices every line against Product.price, reserves its stock and applies
+    // the optional couponCode, lines that can't be ordered come back as per-line errors.
+    const result = await placeOrder(req.user.id, req.body.orderItems, req.body);
 
-        await newOrderItem.save();
+    if(result.errors) {
+        return res.status(400).json({
+            status: false,
+            msg: "Some Order Items Can't Be Ordered",
+            errors: result.errors,
+        }).end();
+    }
 
-        return newOrderItem._id;
-    }));
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Saving Order',
+        order: result.order,
+    }).end();
+});
 
-    orderItemsIds = await orderItemsIds;
+router.put('/:id', [objectId, auth, isAdmin], async (req, res) => {
+    if(!ORDER_STATUSES.includes(req.body.status)) {
+        return res.status(400).json({
+            status: false,
+            msg: `Invalid Status, It Must Be One Of: ${ORDER_STATUSES.join(', ')}`,
+        }).end();
+    }
 
-    // console.log(orderItemsIds);
+    let order = await Order.findById(req.params.id);
 
-    let totalPrices = await Promise.all(orderItemsIds.map(async orderItemId => {
-        let orderItem = await OrderItem.findById(orderItemId).populate('product', 'price');
+    if(!order) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Data Found, OR Server Error',
+        }).end();
+    }
 
-        let totalPrice = orderItem.product.price * orderItem.quantity;
+    const from = order.status;
+    const to   = req.body.status;
 
-        return totalPrice;
-    }));
+    if(!Order.canChangeStatus(from, to)) {
+        return res.status(400).json({
+            status: false,
+            msg: `Can't Change Order Status From ${from} To ${to}`,
+            allowed: ORDER_STATUS_TRANSITIONS[from] || [],
+        }).end();
+    }
 
-    // console.log(totalPrices);
-
-    totalPrices = totalPrices.reduce((a, b) => a+b, 0);    
-    
-    const order = new Order({
-        orderItems: orderItemsIds,
-        shippingAddress1: req.body.shippingAddress1,
-        shippingAddress2: req.body.shippingAddress2,
-        city: req.body.city,
-        zip: req.body.zip,
-        country: req.body.country,
-        phone: req.body.phone,
-        status: req.body.status,
-        totalPrice: totalPrices,
-        user: req.user.id,
-    });
-
-    await order.save();
+    // NOTE: We only update when the status is still the one we checked, so two
+    // admins changing the same order can't both win (and cancel it twice).
+    order = await Order.findOneAndUpdate(
+        { _id: order._id, status: from },
+        {
+            status: to,
+            $push: {
+                statusHistory: {
+                    status: to,
+                    from: from,
+                    changedBy: req.user.id,
+                    note: req.body.note,
+                }
+            }
+        },
+        { new: true, runValidators: true }
+    );
 
     if(!order) {
-        return res.status(500).json({
+        return res.status(409).json({
             status: false,
-            msg: "The Order Can't be saved",
-            data_1: order,
+            msg: 'The Order Status Has Been Changed Meanwhile, Please Try Again',
         }).end();
     }
 
+    if(to === 'cancelled') {
+        await releaseOrderStock(order);
+    }
+
     return res.status(200).json({
         status: true,
-        msg: 'Successfully Saving Order',
-        order: order,
+        msg: 'Successfully Updating Order Status',
+        'data-1': order,
     }).end();
 });
 
-router.put('/:id', [objectId, auth, isAdmin], async (req, res) => {
-    const order = await Order.findByIdAndUpdate(
-        req.params.id,
-        {
-            status: req.body.status,
-        },
-
-        { new: true }
-    );
-
+// The owner of the order and the admins can see how its status changed.
+router.get('/:id/history', [objectId, auth], async (req, res) => {
+    const order = await Order
+        .findById(req.params.id)
+        .select('status statusHistory user')
+        .populate('statusHistory.changedBy', 'name email isAdmin');
 
-    if(!order) {
+    if(!order || (!req.user.isAdmin && order.user.toString() !== req.user.id)) {
         return res.status(404).json({
             status: false,
-            msg: 'No Data Found, OR Server Error',
+            msg: 'NO Data Found For Your Id',
         }).end();
     }
 
     return res.status(200).json({
         status: true,
-        msg: 'Successfully Updating Order Status',
-        'data-1': order,
+        msg: 'Successfully Getting Order History',
+        data: {
+            status: order.status,
+            history: order.statusHistory,
+        },
     }).end();
 });
 
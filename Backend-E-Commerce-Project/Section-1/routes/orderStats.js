@@ -0,0 +1,310 @@
+const express   = require("express");
+const router    = express.Router();
+
+// The Middlewares.
+const auth      = require('../middleware/auth');
+const isAdmin   = require('../middleware/isAdmin');
+
+// The Models
+const { Order }     = require("../models/order");
+const { OrderItem } = require("../models/orderItems");
+const { Product }   = require("../models/product");
+const Category      = require("../models/category");
+const User          = require("../models/user");
+
+// Only the paid orders are sales: pending ones aren't paid yet,
+// cancelled and refunded ones gave the money back.
+const SALE_STATUSES = ['paid', 'shipped', 'delivered'];
+
+// A date without a time, ?to=2024-01-31 means up to the end of that day.
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// The $dateToString format of every period, week is the ISO week (2024-W05).
+const PERIOD_FORMATS = {
+    day:   '%Y-%m-%d',
+    week:  '%G-W%V',
+    month: '%Y-%m',
+};
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT     = 100;
+
+// All the stats routes are for admins only.
+router.use(auth, isAdmin);
+
+// Builds the $match stage from the ?from= and ?to= dates, returns { error } for bad dates.
+function buildMatch(query) {
+    const match = { status: { $in: SALE_STATUSES } };
+
+    if(query.from || query.to) {
+        match.dateOrdered = {};
+
+        if(query.from) {
+            const from = new Date(query.from);
+
+            if(isNaN(from)) {
+                return { error: 'from must be a valid date' };
+            }
+
+            match.dateOrdered.$gte = from;
+        }
+
+        if(query.to) {
+            const to = new Date(query.to);
+
+            if(isNaN(to)) {
+                return { error: 'to must be a valid date' };
+            }
+
+            if(DATE_ONLY.test(query.to)) {
+                // The dates are UTC, like the periods of $dateToString.
+                to.setUTCDate(to.getUTCDate() + 1);
+                match.dateOrdered.$lt = to;
+            } else {
+                match.dateOrdered.$lte = to;
+            }
+        }
+    }
+
+    return { match: match };
+}
+
+function parseLimit(query) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+    if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return null;
+    }
+
+    return limit;
+}
+
+function badRequest(res, msg) {
+    return res.status(400).json({
+        status: false,
+        msg: msg,
+    }).end();
+}
+
+// The stages that turn every order into one document per OrderItem with its product.
+function orderItemsStages() {
+    return [
+        {
+            $lookup: {
+                from: OrderItem.collection.name,
+                localField: 'orderItems',
+                foreignField: '_id',
+                as: 'item',
+            }
+        },
+        { $unwind: '$item' },
+        {
+            $lookup: {
+                from: Product.collection.name,
+                localField: 'item.product',
+                foreignField: '_id',
+                as: 'product',
+            }
+        },
+        { $unwind: '$product' },
+        {
+            $addFields: {
+                // Old OrderItems have no price, so we fall back to the current product price.
+                lineTotal: { $multiply: ['$item.quantity', { $ifNull: ['$item.price', '$product.price'] }] }
+            }
+        },
+    ];
+}
+
+// GET /orders/stats/sales?period=day|week|month&from=&to=
+router.get('/sales', async (req, res) => {
+    const period = req.query.period || 'day';
+
+    if(!PERIOD_FORMATS[period]) {
+        return badRequest(res, `period must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}`);
+    }
+
+    const { match, error } = buildMatch(req.query);
+
+    if(error) {
+        return badRequest(res, error);
+    }
+
+    const sales = await Order.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { $dateToString: { format: PERIOD_FORMATS[period], date: '$dateOrdered' } },
+                totalSales: { $sum: '$totalPrice' },
+                orders: { $sum: 1 },
+                averageOrderValue: { $avg: '$totalPrice' },
+            }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: '$_id', totalSales: 1, orders: 1, averageOrderValue: 1 } },
+    ]);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Getting Sales By Period',
+        period: period,
+        data: sales,
+    }).end();
+});
+
+// GET /orders/stats/average-order-value?from=&to=
+router.get('/average-order-value', async (req, res) => {
+    const { match, error } = buildMatch(req.query);
+
+    if(error) {
+        return badRequest(res, error);
+    }
+
+    const stats = await Order.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: null,
+                totalSales: { $sum: '$totalPrice' },
+                orders: { $sum: 1 },
+                averageOrderValue: { $avg: '$totalPrice' },
+            }
+        },
+        { $project: { _id: 0 } },
+    ]);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Getting Average Order Value',
+        data: stats[0] || { totalSales: 0, orders: 0, averageOrderValue: 0 },
+    }).end();
+});
+
+// GET /orders/stats/top-products?limit=&from=&to=
+router.get('/top-products', async (req, res) => {
+    const { match, error } = buildMatch(req.query);
+    const limit = parseLimit(req.query);
+
+    if(error || !limit) {
+        return badRequest(res, error || `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const products = await Order.aggregate([
+        { $match: match },
+        ...orderItemsStages(),
+        {
+            $group: {
+                _id: '$product._id',
+                name: { $first: '$product.name' },
+                quantity: { $sum: '$item.quantity' },
+                revenue: { $sum: '$lineTotal' },
+                orders: { $sum: 1 },
+            }
+        },
+        { $sort: { quantity: -1, revenue: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, product: '$_id', name: 1, quantity: 1, revenue: 1, orders: 1 } },
+    ]);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Getting Top Selling Products',
+        data: products,
+    }).end();
+});
+
+// GET /orders/stats/top-categories?limit=&from=&to=
+router.get('/top-categories', async (req, res) => {
+    const { match, error } = buildMatch(req.query);
+    const limit = parseLimit(req.query);
+
+    if(error || !limit) {
+        return badRequest(res, error || `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const categories = await Order.aggregate([
+        { $match: match },
+        ...orderItemsStages(),
+        {
+            $group: {
+                _id: '$product.category',
+                quantity: { $sum: '$item.quantity' },
+                revenue: { $sum: '$lineTotal' },
+            }
+        },
+        { $sort: { revenue: -1 } },
+        { $limit: limit },
+        {
+            $lookup: {
+                from: Category.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'category',
+            }
+        },
+        { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+        { $project: { _id: 0, category: '$_id', name: '$category.name', quantity: 1, revenue: 1 } },
+    ]);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Getting Top Selling Categories',
+        data: categories,
+    }).end();
+});
+
+// GET /orders/stats/customers?limit=&from=&to= the lifetime spend of every user.
+router.get('/customers', async (req, res) => {
+    const { match, error } = buildMatch(req.query);
+    const limit = parseLimit(req.query);
+
+    if(error || !limit) {
+        return badRequest(res, error || `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    const customers = await Order.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$user',
+                totalSpent: { $sum: '$totalPrice' },
+                orders: { $sum: 1 },
+                averageOrderValue: { $avg: '$totalPrice' },
+                firstOrder: { $min: '$dateOrdered' },
+                lastOrder: { $max: '$dateOrdered' },
+            }
+        },
+        { $sort: { totalSpent: -1 } },
+        { $limit: limit },
+        {
+            $lookup: {
+                from: User.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'user',
+            }
+        },
+        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+        {
+            $project: {
+                _id: 0,
+                user: '$_id',
+                name: '$user.name',
+                email: '$user.email',
+                totalSpent: 1,
+                orders: 1,
+                averageOrderValue: 1,
+                firstOrder: 1,
+                lastOrder: 1,
+            }
+        },
+    ]);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Getting Customers Lifetime Spend',
+        data: customers,
+    }).end();
+});
+
+module.exports = router;
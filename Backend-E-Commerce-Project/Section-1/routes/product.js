@@ -2,11 +2,11 @@ const express   = require('express');
 const router    = express.Router();
 const mongoose  = require("mongoose");
 const multer    = require('multer');
-const fs        = require('fs');
 
 // models
 const {Product} = require("../models/product");
 const Category = require("../models/category");
+const { Review } = require("../models/review");
 
 
 // middlewares
@@ -14,81 +14,194 @@ const objectId  = require('../middleware/objectId');
 const auth      = require('../middleware/auth');
 const isAdmin   = require('../middleware/isAdmin');
 
-// The Accepted File Extensions in our App.
-const FILE_TYPE_MAP = {
-    'image/png' : 'png',
-    'image/jpg' : 'jpg',
-    'image/jpeg': 'jpeg'
-};
-
-// configure the disk storage for naming of images.
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        // if we set here /dest/uploads it will take the relative path
-        // of device (server or computer).
-        let isValid  = FILE_TYPE_MAP[file.mimetype];
-        let uploadError = new Error('Invalid Image Type');
-
-        if(isValid) {
-            uploadError = null;
+// The Services
+const { storage, isValidKey } = require('../services/storage');
+const { FILE_TYPE_MAP, thumbnailKey, saveImage, removeKeys, removeImages, imageUrl } = require('../services/productImages');
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+
+// We keep the uploads in memory, the storage service writes them after checking them.
+const uploadOptions = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE },
+    fileFilter: function (req, file, cb) {
+        if(!FILE_TYPE_MAP[file.mimetype]) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'Invalid Image Type'));
         }
 
-        cb(uploadError, 'dest/uploads')
+        cb(null, true);
     },
-    
-    filename: function (req, file, cb) {
-        const fileName = file.originalname.split(' ').join('-');
+});
+
+// Runs the multer middleware and answers 400 for bad uploads instead of a server error.
+function upload(middleware) {
+    return function(req, res, next) {
+        middleware(req, res, (err) => {
+            if(err instanceof multer.MulterError) {
+                return res.status(400).json({
+                    status: false,
+                    msg: err.code === 'LIMIT_FILE_SIZE'
+                        ? `Image Is Too Large, The Max Size Is ${MAX_IMAGE_SIZE / 1024 / 1024}MB`
+                        : `Invalid Upload: ${err.field || err.message}`,
+                }).end();
+            }
+
+            next(err);
+        });
+    }
+}
+
+// The fields a client can sort the products list with, "-price" sorts descending.
+const SORTABLE_FIELDS = ['name', 'price', 'rating', 'numReviews', 'numberInStock', 'dateCreated'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT     = 100;
+
+function parseNumber(value) {
+    if(value === undefined || value === '') {
+        return undefined;
+    }
+
+    const number = Number(value);
+
+    return Number.isFinite(number) ? number : NaN;
+}
+
+// Builds the find() filter from the query string, returns { errors } for bad parameters.
+function buildProductFilter(query) {
+    const filter = {};
+    const errors = [];
+
+    if(query.search) {
+        filter.$text = { $search: String(query.search) };
+    }
+
+    if(query.categories) {
+        const categories = String(query.categories).split(',');
+
+        if(!categories.every(category => mongoose.isValidObjectId(category))) {
+            errors.push('categories must be a comma separated list of category ids');
+        }
+
+        filter.category = { $in: categories };
+    }
+
+    const minPrice  = parseNumber(query.minPrice);
+    const maxPrice  = parseNumber(query.maxPrice);
+    const minRating = parseNumber(query.minRating);
+
+    if(Number.isNaN(minPrice) || Number.isNaN(maxPrice) || Number.isNaN(minRating)) {
+        errors.push('minPrice, maxPrice and minRating must be numbers');
+    }
 
-        // another way
-        const extension = FILE_TYPE_MAP[file.mimetype];
+    if(minPrice !== undefined || maxPrice !== undefined) {
+        filter.price = {};
 
-        cb(
-            null, 
-            // fileName+ '-' + Date.now() + '.' + extension,
-            `${fileName}-${Date.now()}.${extension}`
-        );
+        if(minPrice !== undefined) {
+            filter.price.$gte = minPrice;
+        }
+
+        if(maxPrice !== undefined) {
+            filter.price.$lte = maxPrice;
+        }
+    }
+
+    if(minRating !== undefined) {
+        filter.rating = { $gte: minRating };
+    }
+
+    if(query.inStock === 'true' || query.inStock === '1') {
+        filter.numberInStock = { $gt: 0 };
     }
-})
-  
-const uploadOptions = multer({ storage: storage })
-  
+
+    return { filter: filter, errors: errors };
+}
+
+// Turns "?sort=-price,name" into a mongoose sort object, unknown fields are errors.
+function buildProductSort(query) {
+    const sort   = {};
+    const errors = [];
+
+    if(!query.sort) {
+        if(query.search) {
+            sort.score = { $meta: 'textScore' };
+        }
+
+        sort.name = 1;
+        sort.numberInStock = -1;
+
+        return { sort: sort, errors: errors };
+    }
+
+    String(query.sort).split(',').forEach(key => {
+        const field = key.replace(/^-/, '');
+
+        if(field === 'relevance' && query.search) {
+            sort.score = { $meta: 'textScore' };
+            return;
+        }
+
+        if(!SORTABLE_FIELDS.includes(field)) {
+            errors.push(`Can't sort by ${field}, use one of: ${SORTABLE_FIELDS.join(', ')}`);
+            return;
+        }
+
+        sort[field] = key.startsWith('-') ? -1 : 1;
+    });
+
+    return { sort: sort, errors: errors };
+}
 
 router.get('/', async (req, res) =>{
-    // const product = {
-    //     id: 1,
-    //     name: "Product Name Here",
-    //     image: "The Image URL here",
-    // };
+    // Query parameters: search, categories, minPrice, maxPrice, minRating,
+    // inStock, sort, page and limit. All of them are optional.
+    const { filter, errors: filterErrors } = buildProductFilter(req.query);
+    const { sort, errors: sortErrors }     = buildProductSort(req.query);
 
-    // NOTE Very Important: change from array to object
-    // so no force to select all products, else it will return
-    // empty array
+    const page  = req.query.page  === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
 
-    // let filter = [];
-    let filter = {};
+    const errors = filterErrors.concat(sortErrors);
 
-    if(req.query.categories) {
-        filter = { category: req.query.categories.split(',') };
+    if(!Number.isInteger(page) || page < 1) {
+        errors.push('page must be a positive integer');
     }
 
-    // FOR FUTURE WORK: change this to accept $in-operator.
-    // AND See The Result.
-    const products = await Product
-        .find(filter)
-        .sort('name -numberInStock')
-        .populate('category');
+    if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
 
-    if(!products || products.length == 0) {
-        return res.status(404).json({ 
+    if(errors.length > 0) {
+        return res.status(400).json({
             status: false,
-            msg: 'No data Found For Products.'
+            msg: 'Please Check Your Query Parameters',
+            errors: errors,
         }).end();
     }
 
+    const projection = filter.$text ? { score: { $meta: 'textScore' } } : {};
+
+    const [products, total] = await Promise.all([
+        Product
+            .find(filter, projection)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('category'),
+
+        Product.countDocuments(filter),
+    ]);
+
     return res.json({
         status: true,
         msg: "All Product Getted Successfully",
         data: products,
+        pagination: {
+            page: page,
+            limit: limit,
+            total: total,
+            pages: Math.ceil(total / limit),
+        },
     }).end();
 });
 
@@ -159,7 +272,7 @@ router.get('/:id', [objectId, auth], async(req, res) => {
     }
 });
 
-router.post('/', [auth, isAdmin, uploadOptions.single('image')], async (req, res) => {
+router.post('/', [auth, isAdmin, upload(uploadOptions.single('image'))], async (req, res) => {
 
     if(!mongoose.Types.ObjectId.isValid(req.body.category)){
         return res.status(400).json({
@@ -187,12 +300,19 @@ router.post('/', [auth, isAdmin, uploadOptions.single('image')], async (req, res
     }
 
 
-    const fileName = req.file.filename;
-    const basePath = `${req.protocol}://${req.get('host')}/dest/uploads/`;
+    const image = await saveImage(file);
+
+    if(image.error) {
+        return res.status(400).json({
+            status: false,
+            msg: image.error,
+        }).end();
+    }
 
     const product = new Product({
         name: req.body.name,
-        image: `${basePath}${fileName}`,
+        image: imageUrl(req, image.key),
+        thumbnail: imageUrl(req, thumbnailKey(image.key)),
         numberInStock: req.body.numberInStock,
         description: req.body.description,
         richDescription: req.body.richDescription,
@@ -200,8 +320,6 @@ router.post('/', [auth, isAdmin, uploadOptions.single('image')], async (req, res
         brand: req.body.brand,
         price: req.body.price,
         category: req.body.category,
-        rating: req.body.rating,
-        numReviews: req.body.numReviews,
         isFeatured: req.body.isFeatured,
         dateCreated: req.body.dateCreated,
     });
@@ -216,6 +334,7 @@ router.post('/', [auth, isAdmin, uploadOptions.single('image')], async (req, res
 
     }catch(ex) {
         console.log("Error is: ", ex);
+        await removeKeys([image.key]);
         return res.status(500).json({
             status: false,
             msg: "An error Occurred, Please Try Again Later."
@@ -232,7 +351,10 @@ router.post('/', [auth, isAdmin, uploadOptions.single('image')], async (req, res
 
 // This must be at first.
 router.delete('/delete-all', [auth, isAdmin], async (req, res) => {
+    const products = await Product.find({}).select('image images');
+
     const result = await Product.deleteMany({});
+    await Review.deleteMany({});
 
     if(!result) {
         console.log(result);
@@ -242,6 +364,8 @@ router.delete('/delete-all', [auth, isAdmin], async (req, res) => {
         }).end();
     }
 
+    await removeImages(req, products.flatMap(product => [product.image, ...product.images]));
+
     return res.status(200).json({
         status: true,
         msg: "All Products Deleted Successfully."
@@ -259,6 +383,9 @@ router.delete("/:id", [objectId, auth, isAdmin], async (req, res) => {
         }).end();
     }
 
+    await Review.deleteMany({ product: product._id });
+    await removeImages(req, [product.image, ...product.images]);
+
     return res.status(200).json({
         status: true,
         msg: "Successfully Deleting Product",
@@ -278,8 +405,6 @@ router.put('/:id', [objectId, auth, isAdmin], async (req, res) => {
         brand: req.body.brand,
         price: req.body.price,
         category: req.body.category,
-        rating: req.body.rating,
-        numReviews: req.body.numReviews,
         isFeatured: req.body.isFeatured,
         dateCreated: req.body.dateCreated,
      */
@@ -333,13 +458,7 @@ router.put('/:id', [objectId, auth, isAdmin], async (req, res) => {
         product.category = req.body.category;
     }
 
-    if(req.body.rating) {
-        product.rating = req.body.rating;
-    }
-
-    if(req.body.numReviews) {
-        product.numReviews = req.body.numReviews;
-    }
+    // NOTE: rating and numReviews are computed from the reviews, see models/review.js.
 
     if(req.body.isFeatured) {
         product.isFeatured = req.body.isFeatured;
@@ -366,26 +485,18 @@ router.put('/:id', [objectId, auth, isAdmin], async (req, res) => {
 });
 
 router.put('/upload/product/gallery/:id', 
-    [objectId, auth, isAdmin, uploadOptions.array('images', 3)], 
+    [objectId, auth, isAdmin, upload(uploadOptions.array('images', 3))], 
     async (req, res) => {
         const files = req.files;
-        imagesPaths = [];
 
-        if(!files) {
+        if(!files || files.length == 0) {
             return res.status(400).json({
                 status: false,
                 msg: "Upload Files First",
             }).end();
         }
 
-        files.map(file => {
-            console.log(file);
-            imagesPaths.push(`${req.protocol}://${req.get('host')}/dest/uploads/${file.filename}`);
-        });
-
-        const product = await Product.findByIdAndUpdate(req.params.id, {
-            images: imagesPaths,
-        }, { new:true });
+        let product = await Product.findById(req.params.id);
 
         if(!product) {
             return res.status(404).json({
@@ -394,6 +505,33 @@ router.put('/upload/product/gallery/:id',
             }).end();
         }
 
+        const keys = [];
+
+        for(const file of files) {
+            const image = await saveImage(file);
+
+            if(image.error) {
+                // Don't keep the images we stored before the bad one.
+                await removeKeys(keys);
+
+                return res.status(400).json({
+                    status: false,
+                    msg: `${image.error}: ${file.originalname}`,
+                }).end();
+            }
+
+            keys.push(image.key);
+        }
+
+        const oldImages = product.images;
+
+        product.images = keys.map(key => imageUrl(req, key));
+
+        await product.save();
+
+        // The replaced gallery images are not used by anything anymore.
+        await removeImages(req, oldImages);
+
         return res.status(200).json({
             status: true,
             msg: 'Product Has Been Updated Successfully',
@@ -401,23 +539,32 @@ router.put('/upload/product/gallery/:id',
         }).end();
 });
 
+// Add ?size=thumbnail to get the thumbnail of the image.
 router.get('/get/image/by/name/:name', async (req, res)=>{
     const imageName = req.params.name;
 
-    fs.readFile(`dest/uploads/${imageName}`, (err, file) => {
-        if(err) {
-            return res.status(404).json({
-                status: false,
-                msg: 'Invalid Image Name, OR Server Error',
-            }).end();
-        }
+    if(!isValidKey(imageName)) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Invalid Image Name',
+        }).end();
+    }
 
-        // We must set the response in this order, so
-        // if there is any error will be fired.
-        res.setHeader('Content-Type', 'image/jpeg');
-        return res.status(200).send(file).end();
-    });
+    const key = req.query.size === 'thumbnail' ? thumbnailKey(imageName) : imageName;
+    const file = await storage.read(key);
+
+    if(!file) {
+        return res.status(404).json({
+            status: false,
+            msg: 'Invalid Image Name, OR Server Error',
+        }).end();
+    }
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'public, max-age=86400');
 
+    return res.status(200).send(file.body).end();
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,219 @@
+const express   = require("express");
+// mergeParams so we get the product :id from /products/:id/reviews.
+const router    = express.Router({ mergeParams: true });
+const mongoose  = require('mongoose');
+
+// The Models
+const { Review }    = require('../models/review');
+const { Product }   = require('../models/product');
+const { Order }     = require('../models/order');
+const { OrderItem } = require('../models/orderItems');
+
+// The Middlewares
+const objectId      = require('../middleware/objectId');
+const auth          = require('../middleware/auth');
+const optionalAuth  = require('../middleware/optionalAuth');
+const isAdmin       = require('../middleware/isAdmin');
+
+// The order statuses that mean the user really bought the product.
+const PURCHASED_STATUSES = ['paid', 'shipped', 'delivered'];
+
+async function hasPurchased(userId, productId) {
+    const orderItems = await OrderItem.find({ product: productId }).select('_id');
+
+    if(orderItems.length == 0) {
+        return false;
+    }
+
+    const order = await Order.exists({
+        user: userId,
+        status: { $in: PURCHASED_STATUSES },
+        orderItems: { $in: orderItems.map(orderItem => orderItem._id) },
+    });
+
+    return !!order;
+}
+
+function reviewId(req, res, next) {
+    if(!mongoose.isValidObjectId(req.params.reviewId)) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Please check review id data',
+        }).end();
+    }
+
+    next();
+}
+
+function validRating(rating) {
+    return Number.isInteger(Number(rating)) && Number(rating) >= 1 && Number(rating) <= 5;
+}
+
+// Admins can add ?all=true to see the hidden reviews too.
+router.get('/', [objectId, optionalAuth], async (req, res) => {
+    const filter = { product: req.params.id };
+
+    if(!(req.user && req.user.isAdmin && req.query.all === 'true')) {
+        filter.isApproved = true;
+    }
+
+    const reviews = await Review
+        .find(filter)
+        .sort('-dateCreated')
+        .populate('user', 'name');
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Successfully Getting Product Reviews',
+        data: reviews,
+    }).end();
+});
+
+router.post('/', [objectId, auth], async (req, res) => {
+    if(!validRating(req.body.rating)) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Rating Must Be An Integer Between 1 And 5',
+        }).end();
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if(!product) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Data Found For This Product Id',
+        }).end();
+    }
+
+    if(await Review.exists({ product: product._id, user: req.user.id })) {
+        return res.status(400).json({
+            status: false,
+            msg: 'You Have Already Reviewed This Product',
+        }).end();
+    }
+
+    if(!(await hasPurchased(req.user.id, product._id))) {
+        return res.status(403).json({
+            status: false,
+            msg: 'You Can Only Review Products You Have Purchased',
+        }).end();
+    }
+
+    const review = new Review({
+        product: product._id,
+        user: req.user.id,
+        rating: req.body.rating,
+        comment: req.body.comment,
+    });
+
+    await review.save();
+
+    await Review.updateProductRating(product._id);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Review Created Successfully',
+        data: review,
+    }).end();
+});
+
+// The owner can change the rating and the comment of their review.
+router.put('/:reviewId', [objectId, reviewId, auth], async (req, res) => {
+    const review = await Review.findOne({
+        _id: req.params.reviewId,
+        product: req.params.id,
+        user: req.user.id,
+    });
+
+    if(!review) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Review Found For This Id',
+        }).end();
+    }
+
+    if(req.body.rating !== undefined) {
+        if(!validRating(req.body.rating)) {
+            return res.status(400).json({
+                status: false,
+                msg: 'Rating Must Be An Integer Between 1 And 5',
+            }).end();
+        }
+
+        review.rating = req.body.rating;
+    }
+
+    if(req.body.comment !== undefined) {
+        review.comment = req.body.comment;
+    }
+
+    await review.save();
+
+    await Review.updateProductRating(review.product);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Review Updated Successfully',
+        data: review,
+    }).end();
+});
+
+// Admin moderation: hide or show a review.
+router.put('/:reviewId/moderate', [objectId, reviewId, auth, isAdmin], async (req, res) => {
+    if(typeof req.body.isApproved !== 'boolean') {
+        return res.status(400).json({
+            status: false,
+            msg: 'isApproved Must Be true OR false',
+        }).end();
+    }
+
+    const review = await Review.findOneAndUpdate(
+        { _id: req.params.reviewId, product: req.params.id },
+        { isApproved: req.body.isApproved },
+        { new: true }
+    );
+
+    if(!review) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Review Found For This Id',
+        }).end();
+    }
+
+    await Review.updateProductRating(review.product);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Review Moderated Successfully',
+        data: review,
+    }).end();
+});
+
+// The owner OR an admin can delete a review.
+router.delete('/:reviewId', [objectId, reviewId, auth], async (req, res) => {
+    const filter = { _id: req.params.reviewId, product: req.params.id };
+
+    if(!req.user.isAdmin) {
+        filter.user = req.user.id;
+    }
+
+    const review = await Review.findOneAndDelete(filter);
+
+    if(!review) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No Review Found For This Id',
+        }).end();
+    }
+
+    await Review.updateProductRating(review.product);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Review Deleted Successfully',
+        data: review,
+    }).end();
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const productRouter = require("./product");
 const categoryRouter = require("./category");
 const orderRouter    = require("./order");
+const orderStatsRouter = require("./orderStats");
 const userRouter     = require("./user");
+const cartRouter     = require("./cart");
+const reviewRouter   = require("./review");
+const couponRouter   = require("./coupon");
 const express = require('express');
 
 
@@ -12,10 +16,14 @@ module.exports = function(app) {
     app.use(express.json());
     app.use(express.urlencoded({ extended: true }));
 
+    app.use(`${api}/products/:id/reviews`, reviewRouter);
     app.use(`${api}/products`, productRouter);
     app.use(`${api}/categories`, categoryRouter);
+    app.use(`${api}/orders/stats`, orderStatsRouter);
     app.use(`${api}/orders`, orderRouter);
     app.use(`${api}/users`, userRouter);
+    app.use(`${api}/carts`, cartRouter);
+    app.use(`${api}/coupons`, couponRouter);
 
     app.use((err, req, res, next) => {
         console.log("Error Happened", err.message);
@@ -6,12 +6,20 @@ const _         = require('lodash');
 
 // The Models Section.
 const User      = require('../models/user');
+const { Cart }  = require('../models/cart');
 
 // The Middleware section.
 const objectId  = require('../middleware/objectId');
 const auth      = require('../middleware/auth');
 const isAdmin   = require('../middleware/isAdmin');
 
+// The Services section.
+const { issueTokens, rotateRefreshToken, revokeSession, revokeUserSessions } = require('../services/auth');
+const { consumeActionToken } = require('../services/actionTokens');
+const { sendVerificationMail, sendPasswordResetMail } = require('../services/accountMails');
+
+const MIN_PASSWORD_LENGTH = 6;
+
 // The ENV variables.
 // const jwtPrivate = process.env.JWT_TOKEN;
 
@@ -82,6 +90,10 @@ router.post('/', async(req, res) => {
 
     user = new User(req.body);
 
+    // The email is verified only through the mailed token.
+    user.isEmailVerified = false;
+    user.emailVerifiedAt = undefined;
+
     let salt = await bcrypt.genSalt(10);
     console.log("Salt is: ", salt);
     user.passwordHash = await bcrypt.hash(user.passwordHash, salt);
@@ -95,12 +107,15 @@ router.post('/', async(req, res) => {
         }).end();
     }
 
-    const token = user.generateAuthToken();
+    const { accessToken, refreshToken } = await issueTokens(user);
 
-    return res.status(200).header('x-auth-token', token).json({
+    await sendVerificationMail(user);
+
+    return res.status(200).header('x-auth-token', accessToken).json({
         status: true,
         msg: "Successfully Creating Account",
-        data: _.pick(user, ['name', 'email', 'phone', 'isAdmin']),
+        data: _.pick(user, ['name', 'email', 'phone', 'isAdmin', 'isEmailVerified']),
+        refreshToken: refreshToken,
     });
 });
 
@@ -128,15 +143,211 @@ router.post('/auth/login', async (req, res) => {
         }).end();
     }
 
-    let token = user.generateAuthToken();
+    // Guests send the token of the cart they filled before login,
+    // so we move its items into the user cart.
+    const cartToken = req.header('x-cart-token');
+
+    if(cartToken) {
+        await Cart.mergeGuestCart(cartToken, user._id);
+    }
+
+    const { accessToken, refreshToken } = await issueTokens(user);
 
     return res
         .status(200)
-        .header('x-auth-token', token)
+        .header('x-auth-token', accessToken)
         .json({
             'status': true,
             'msg': 'User Logged In Successfully',
             user: _.pick(user, ['email', 'phone', 'isAdmin', 'name', 'id', '_id']),
+            refreshToken: refreshToken,
+    }).end();
+});
+
+// The client sends its refresh token and gets a new access token AND a new
+// refresh token, the one sent can't be used again.
+router.post('/auth/refresh', async (req, res) => {
+    if(!req.body.refreshToken) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Please Send Your Refresh Token',
+        }).end();
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken);
+
+    if(result.error) {
+        return res.status(401).json({
+            status: false,
+            msg: result.error,
+        }).end();
+    }
+
+    return res
+        .status(200)
+        .header('x-auth-token', result.accessToken)
+        .json({
+            status: true,
+            msg: 'Token Refreshed Successfully',
+            refreshToken: result.refreshToken,
+    }).end();
+});
+
+// Send { all: true } to logout from all devices.
+router.post('/auth/logout', auth, async (req, res) => {
+    if(req.body.all === true) {
+        await revokeUserSessions(req.user.id);
+    } else {
+        await revokeSession(req.user.sid);
+    }
+
+    return res.status(200).json({
+        status: true,
+        msg: 'User Logged Out Successfully',
+    }).end();
+});
+
+// Sends the verification mail again, for example when the first one expired.
+router.post('/auth/verify-email/request', auth, async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if(!user) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No User Found',
+        }).end();
+    }
+
+    if(user.isEmailVerified) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Your Email Is Already Verified',
+        }).end();
+    }
+
+    await sendVerificationMail(user);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Verification Mail Sent Successfully',
+    }).end();
+});
+
+router.post('/auth/verify-email', async (req, res) => {
+    if(!req.body.token) {
+        return res.status(400).json({
+            status: false,
+            msg: 'Please Send The Token From The Mail',
+        }).end();
+    }
+
+    const result = await consumeActionToken(req.body.token, 'verify-email');
+
+    if(result.error) {
+        return res.status(400).json({
+            status: false,
+            msg: result.error,
+        }).end();
+    }
+
+    const user = await User.findByIdAndUpdate(
+        result.userId,
+        { isEmailVerified: true, emailVerifiedAt: Date.now() },
+        { new: true }
+    ).select('-passwordHash');
+
+    if(!user) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No User Found',
+        }).end();
+    }
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Email Verified Successfully',
+        data: _.pick(user, ['name', 'email', 'isEmailVerified']),
+    }).end();
+});
+
+// NOTE: We answer the same for known and unknown emails,
+// so this route can't be used to find who has an account.
+router.post('/auth/forgot-password', async (req, res) => {
+    const user = req.body.email ? await User.findOne({ email: String(req.body.email) }) : null;
+
+    if(user) {
+        await sendPasswordResetMail(user);
+    }
+
+    return res.status(200).json({
+        status: true,
+        msg: 'If This Email Has An Account, A Reset Mail Has Been Sent',
+    }).end();
+});
+
+router.post('/auth/reset-password', async (req, res) => {
+    if(!req.body.token || !req.body.password || String(req.body.password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+            status: false,
+            msg: `Please Send The Token And A Password Of ${MIN_PASSWORD_LENGTH} Characters At Least`,
+        }).end();
+    }
+
+    const result = await consumeActionToken(req.body.token, 'reset-password');
+
+    if(result.error) {
+        return res.status(400).json({
+            status: false,
+            msg: result.error,
+        }).end();
+    }
+
+    const user = await User.findById(result.userId);
+
+    if(!user) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No User Found',
+        }).end();
+    }
+
+    let salt = await bcrypt.genSalt(10);
+    user.passwordHash = await bcrypt.hash(String(req.body.password), salt);
+
+    // The mail proves the user owns the email.
+    if(!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        user.emailVerifiedAt = Date.now();
+    }
+
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in.
+    await revokeUserSessions(user._id);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'Password Reset Successfully, Please Login Again',
+    }).end();
+});
+
+// For compromised accounts: kills every session of the user.
+router.post('/:id/revoke-sessions', [objectId, auth, isAdmin], async (req, res) => {
+    const user = await User.findById(req.params.id).select('-passwordHash');
+
+    if(!user) {
+        return res.status(404).json({
+            status: false,
+            msg: 'No User Found',
+        }).end();
+    }
+
+    await revokeUserSessions(user._id);
+
+    return res.status(200).json({
+        status: true,
+        msg: 'All User Sessions Revoked Successfully',
+        data: user,
     }).end();
 });
 
@@ -168,6 +379,8 @@ router.delete('/:id', [objectId, auth, isAdmin], async (req, res)=> {
         }).end();
     }
 
+    await revokeUserSessions(user._id);
+
     return res.status(200).json({
         status: true,
         msg: 'User Deleted Successfully',
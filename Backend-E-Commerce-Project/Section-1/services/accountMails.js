@@ -0,0 +1,36 @@
+// The Services
+const { createActionToken } = require('./actionTokens');
+const { sendMail } = require('./mailer');
+
+// The links in the mails go to the front-end, it sends the token back to our API.
+function clientUrl() {
+    return process.env.CLIENT_URL || process.env.PUBLIC_URL || 'http://localhost:3000';
+}
+
+async function sendVerificationMail(user) {
+    const token = await createActionToken(user._id, 'verify-email');
+
+    await sendMail({
+        to: user.email,
+        subject: 'Please Verify Your Email',
+        text: `Hello ${user.name},\n\n`
+            + `Please verify your email by opening this link (valid for 24 hours):\n`
+            + `${clientUrl()}/verify-email?token=${token}\n`,
+    });
+}
+
+async function sendPasswordResetMail(user) {
+    const token = await createActionToken(user._id, 'reset-password');
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset Your Password',
+        text: `Hello ${user.name},\n\n`
+            + `You can choose a new password by opening this link (valid for 1 hour):\n`
+            + `${clientUrl()}/reset-password?token=${token}\n\n`
+            + `If you didn't ask for it, just ignore this mail.\n`,
+    });
+}
+
+module.exports.sendVerificationMail = sendVerificationMail;
+module.exports.sendPasswordResetMail = sendPasswordResetMail;
@@ -0,0 +1,64 @@
+const crypto    = require('crypto');
+const jwt       = require('jsonwebtoken');
+
+// The Models
+const { ActionToken } = require('../models/actionToken');
+
+const jwtKey = process.env.JWT_TOKEN;
+
+// How long every kind of token can be used, in seconds.
+const TOKEN_TTL = {
+    'verify-email':   24 * 60 * 60,
+    'reset-password': 60 * 60,
+};
+
+// Creates a signed token for the purpose, the older unused tokens
+// of the same purpose can't be used anymore.
+async function createActionToken(userId, purpose) {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const ttl = TOKEN_TTL[purpose];
+
+    await ActionToken.updateMany(
+        { user: userId, purpose: purpose, usedAt: { $exists: false } },
+        { usedAt: Date.now() }
+    );
+
+    await ActionToken.create({
+        jti: jti,
+        user: userId,
+        purpose: purpose,
+        expiresAt: new Date(Date.now() + ttl * 1000),
+    });
+
+    return jwt.sign({ id: userId, purpose: purpose }, jwtKey, { jwtid: jti, expiresIn: ttl });
+}
+
+// Checks the token and marks it as used, returns { userId } OR { error }.
+async function consumeActionToken(token, purpose) {
+    let payload;
+
+    try {
+        payload = jwt.verify(String(token), jwtKey);
+    } catch(e) {
+        return { error: 'Invalid OR Expired Token' };
+    }
+
+    if(payload.purpose !== purpose || !payload.jti) {
+        return { error: 'Invalid OR Expired Token' };
+    }
+
+    // Only one request can set usedAt, so the token works once.
+    const actionToken = await ActionToken.findOneAndUpdate(
+        { jti: payload.jti, purpose: purpose, usedAt: { $exists: false }, expiresAt: { $gt: Date.now() } },
+        { usedAt: Date.now() }
+    );
+
+    if(!actionToken) {
+        return { error: 'This Token Has Already Been Used OR Expired' };
+    }
+
+    return { userId: actionToken.user };
+}
+
+module.exports.createActionToken = createActionToken;
+module.exports.consumeActionToken = consumeActionToken;
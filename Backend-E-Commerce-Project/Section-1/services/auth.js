@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+// The Models
+const { RefreshToken } = require('../models/refreshToken');
+const User = require('../models/user');
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function createRefreshToken(userId, session) {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+        tokenHash: hashToken(token),
+        user: userId,
+        session: session,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    return token;
+}
+
+// Starts a new session for the user (at login OR sign up).
+async function issueTokens(user) {
+    const session = crypto.randomBytes(16).toString('hex');
+    const refreshToken = await createRefreshToken(user._id, session);
+
+    return {
+        accessToken: user.generateAuthToken(session),
+        refreshToken: refreshToken,
+    };
+}
+
+// Swaps a refresh token for a new pair, the old one can't be used again.
+// Returns { error } when the token can't be used.
+async function rotateRefreshToken(token) {
+    const current = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+    if(!current || current.expiresAt <= Date.now()) {
+        return { error: 'Invalid OR Expired Refresh Token' };
+    }
+
+    if(current.revokedAt) {
+        // NOTE: A revoked token used again means it has been stolen,
+        // so we kill the whole session for the thief and the real user.
+        await revokeSession(current.session);
+
+        return { error: 'Refresh Token Reused, Please Login Again' };
+    }
+
+    const user = await User.findById(current.user);
+
+    if(!user) {
+        await revokeSession(current.session);
+
+        return { error: 'Invalid OR Expired Refresh Token' };
+    }
+
+    const refreshToken = await createRefreshToken(user._id, current.session);
+
+    // Only the request that revokes the token gets the new one, two refreshes
+    // racing with the same token can't both win.
+    const rotated = await RefreshToken.findOneAndUpdate(
+        { _id: current._id, revokedAt: { $exists: false } },
+        { revokedAt: Date.now(), replacedBy: hashToken(refreshToken) }
+    );
+
+    if(!rotated) {
+        await revokeSession(current.session);
+
+        return { error: 'Refresh Token Reused, Please Login Again' };
+    }
+
+    return {
+        accessToken: user.generateAuthToken(current.session),
+        refreshToken: refreshToken,
+    };
+}
+
+async function revokeSession(session) {
+    await RefreshToken.updateMany(
+        { session: session, revokedAt: { $exists: false } },
+        { revokedAt: Date.now() }
+    );
+}
+
+// Logs the user out from every device.
+async function revokeUserSessions(userId) {
+    await RefreshToken.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { revokedAt: Date.now() }
+    );
+}
+
+// A session is active while it has a refresh token that isn't revoked.
+async function isSessionActive(session) {
+    if(!session) {
+        return false;
+    }
+
+    const token = await RefreshToken.exists({
+        session: session,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: Date.now() },
+    });
+
+    return !!token;
+}
+
+module.exports.issueTokens = issueTokens;
+module.exports.rotateRefreshToken = rotateRefreshToken;
+module.exports.revokeSession = revokeSession;
+module.exports.revokeUserSessions = revokeUserSessions;
+module.exports.isSessionActive = isSessionActive;
@@ -0,0 +1,110 @@
+// The Models
+const { Coupon } = require('../models/coupon');
+const { Order } = require('../models/order');
+
+function roundPrice(price) {
+    return Math.round(price * 100) / 100;
+}
+
+// Is the product of this line in the scope of the coupon.
+function inScope(coupon, product) {
+    if(coupon.products.length == 0 && coupon.categories.length == 0) {
+        return true;
+    }
+
+    return coupon.products.some(id => id.equals(product._id))
+        || coupon.categories.some(id => id.equals(product.category));
+}
+
+// Checks the coupon for this order and computes its discount line.
+// products[i] is the product of lines[i]. Returns { error } OR { coupon, discount }.
+async function applyCoupon(code, userId, lines, products, shippingPrice) {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    const now = Date.now();
+
+    if(!coupon || !coupon.isActive) {
+        return { error: 'Invalid Coupon Code' };
+    }
+
+    if((coupon.startsAt && coupon.startsAt > now) || (coupon.expiresAt && coupon.expiresAt <= now)) {
+        return { error: 'This Coupon Is Not Valid Now' };
+    }
+
+    if(coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+        return { error: 'This Coupon Has Reached Its Usage Limit' };
+    }
+
+    if(coupon.perUserLimit !== null) {
+        const used = await Order.countDocuments({
+            user: userId,
+            coupon: coupon._id,
+            status: { $ne: 'cancelled' },
+        });
+
+        if(used >= coupon.perUserLimit) {
+            return { error: 'You Have Already Used This Coupon' };
+        }
+    }
+
+    const subtotal = lines.reduce((total, line, index) => {
+        return total + products[index].price * Number(line.quantity);
+    }, 0);
+
+    if(subtotal < coupon.minOrderValue) {
+        return { error: `This Coupon Needs An Order Of ${coupon.minOrderValue} At Least` };
+    }
+
+    const eligible = lines.reduce((total, line, index) => {
+        return inScope(coupon, products[index])
+            ? total + products[index].price * Number(line.quantity)
+            : total;
+    }, 0);
+
+    let amount = 0;
+
+    if(coupon.type === 'free-shipping') {
+        amount = shippingPrice;
+    } else if(eligible == 0) {
+        return { error: 'This Coupon Is Not For The Products In Your Order' };
+    } else if(coupon.type === 'percentage') {
+        amount = eligible * coupon.value / 100;
+    } else {
+        amount = Math.min(coupon.value, eligible);
+    }
+
+    return {
+        coupon: coupon,
+        discount: {
+            code: coupon.code,
+            type: coupon.type,
+            description: coupon.description,
+            amount: roundPrice(amount),
+        },
+    };
+}
+
+// Counts one more use, only when the limit is not reached meanwhile.
+async function redeemCoupon(coupon) {
+    const filter = { _id: coupon._id };
+
+    if(coupon.usageLimit !== null) {
+        filter.usedCount = { $lt: coupon.usageLimit };
+    }
+
+    const redeemed = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } });
+
+    return !!redeemed;
+}
+
+// Gives back the use of a cancelled order.
+async function releaseCoupon(couponId) {
+    await Coupon.updateOne(
+        { _id: couponId, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } }
+    );
+}
+
+module.exports.roundPrice = roundPrice;
+module.exports.applyCoupon = applyCoupon;
+module.exports.redeemCoupon = redeemCoupon;
+module.exports.releaseCoupon = releaseCoupon;
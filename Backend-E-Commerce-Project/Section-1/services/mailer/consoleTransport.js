@@ -0,0 +1,16 @@
+// Prints the mails, for local development.
+module.exports = function consoleTransport() {
+    return {
+        name: 'console',
+
+        async send(message) {
+            console.log("---------- Mail ----------");
+            console.log(`From: ${message.from}`);
+            console.log(`To: ${message.to}`);
+            console.log(`Subject: ${message.subject}`);
+            console.log("");
+            console.log(message.text);
+            console.log("--------------------------");
+        },
+    };
+}
@@ -0,0 +1,21 @@
+const fs    = require('fs/promises');
+const path  = require('path');
+
+// Writes every mail as a JSON file in dir, handy for tests that need to read the token.
+module.exports = function fileTransport(options) {
+    const dir = path.resolve(options.dir);
+
+    return {
+        name: 'file',
+
+        async send(message) {
+            await fs.mkdir(dir, { recursive: true });
+
+            const file = path.join(dir, `${Date.now()}-${process.hrtime.bigint()}.json`);
+
+            await fs.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 4));
+
+            return file;
+        },
+    };
+}
@@ -0,0 +1,36 @@
+// The mailer sends through a transport, MAIL_TRANSPORT picks it: console (default) OR file.
+// A transport is any object with an async send({ from, to, subject, text }) method,
+// so a real one (SMTP, an email API) can be plugged in with setTransport().
+const consoleTransport  = require('./consoleTransport');
+const fileTransport     = require('./fileTransport');
+
+function createTransport(env) {
+    const name = env.MAIL_TRANSPORT || 'console';
+
+    if(name === 'console') {
+        return consoleTransport();
+    }
+
+    if(name === 'file') {
+        return fileTransport({ dir: env.MAIL_DIR || 'dest/mails' });
+    }
+
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+}
+
+let transport = createTransport(process.env);
+
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+async function sendMail(message) {
+    return transport.send({
+        from: process.env.MAIL_FROM || 'no-reply@e-shop.local',
+        ...message,
+    });
+}
+
+module.exports.sendMail = sendMail;
+module.exports.setTransport = setTransport;
+module.exports.createTransport = createTransport;
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+
+// The Models
+const { Order } = require('../models/order');
+const { OrderItem } = require('../models/orderItems');
+const { Product } = require('../models/product');
+
+// The Services
+const { applyCoupon, redeemCoupon, releaseCoupon, roundPrice } = require('./coupon');
+
+// A flat shipping price for every order, 0 when not set.
+const SHIPPING_PRICE = Number(process.env.SHIPPING_PRICE) || 0;
+
+// Loads the product of every line and checks it can be ordered.
+// Returns one error per bad line, so errors is empty when all lines are OK.
+async function checkOrderLines(lines) {
+    const errors = [];
+
+    if(!Array.isArray(lines) || lines.length == 0) {
+        errors.push({ line: null, msg: 'No Order Items Provided' });
+
+        return { errors: errors, products: [] };
+    }
+
+    const products = await Promise.all(lines.map(async (line, index) => {
+        if(!mongoose.isValidObjectId(line.product)) {
+            errors.push({ line: index, product: line.product, msg: 'Invalid Product Id' });
+            return null;
+        }
+
+        const quantity = Number(line.quantity);
+
+        if(!Number.isInteger(quantity) || quantity < 1) {
+            errors.push({ line: index, product: line.product, msg: 'Quantity Must Be A Positive Integer' });
+            return null;
+        }
+
+        const product = await Product.findById(line.product);
+
+        if(!product) {
+            errors.push({ line: index, product: line.product, msg: 'No Product Found For This Id' });
+            return null;
+        }
+
+        if(quantity > product.numberInStock) {
+            errors.push({
+                line: index,
+                product: line.product,
+                msg: 'Not Enough Stock For This Product',
+                requested: quantity,
+                available: product.numberInStock,
+            });
+            return null;
+        }
+
+        return product;
+    }));
+
+    return { errors: errors, products: products };
+}
+
+// Takes the quantity out of numberInStock only when enough is left, so two
+// orders racing for the last items can't both get them.
+async function reserveStock(productId, quantity) {
+    return Product.findOneAndUpdate(
+        { _id: productId, numberInStock: { $gte: quantity } },
+        { $inc: { numberInStock: -quantity } },
+        { new: true }
+    );
+}
+
+async function releaseStock(productId, quantity) {
+    await Product.updateOne(
+        { _id: productId },
+        { $inc: { numberInStock: quantity } }
+    );
+}
+
+// Gives back the stock of every OrderItem of the order (and the use of its coupon),
+// used when it is cancelled.
+async function releaseOrderStock(order) {
+    const orderItems = await OrderItem.find({ _id: { $in: order.orderItems } });
+
+    await Promise.all(orderItems.map(orderItem => {
+        return releaseStock(orderItem.product, orderItem.quantity);
+    }));
+
+    if(order.coupon) {
+        await releaseCoupon(order.coupon);
+    }
+}
+
+// Creates the OrderItems and the Order for the given lines, priced against Product.price,
+// and reserves their stock. details.couponCode is optional.
+// Returns { errors } when any line (OR the coupon) can't be ordered, else { order }.
+async function placeOrder(userId, lines, details) {
+    const { errors, products } = await checkOrderLines(lines);
+
+    if(errors.length > 0) {
+        return { errors: errors };
+    }
+
+    let coupon = null;
+    let discounts = [];
+
+    if(details.couponCode) {
+        const result = await applyCoupon(details.couponCode, userId, lines, products, SHIPPING_PRICE);
+
+        if(result.error) {
+            return { errors: [{ line: null, couponCode: details.couponCode, msg: result.error }] };
+        }
+
+        coupon = result.coupon;
+        discounts.push(result.discount);
+    }
+
+    // NOTE: We reserve one line after another, the stock may have changed
+    // since checkOrderLines so every line is checked again by reserveStock.
+    const reserved = [];
+
+    for(let index = 0; index < lines.length; index++) {
+        const quantity = Number(lines[index].quantity);
+        const product = await reserveStock(lines[index].product, quantity);
+
+        if(!product) {
+            errors.push({
+                line: index,
+                product: lines[index].product,
+                msg: 'Not Enough Stock For This Product',
+                requested: quantity,
+            });
+            continue;
+        }
+
+        reserved.push({ product: product._id, quantity: quantity });
+    }
+
+    if(errors.length > 0) {
+        await Promise.all(reserved.map(line => releaseStock(line.product, line.quantity)));
+
+        return { errors: errors };
+    }
+
+    // The coupon may have reached its usage limit since applyCoupon.
+    if(coupon && !(await redeemCoupon(coupon))) {
+        await Promise.all(reserved.map(line => releaseStock(line.product, line.quantity)));
+
+        return { errors: [{ line: null, couponCode: details.couponCode, msg: 'This Coupon Has Reached Its Usage Limit' }] };
+    }
+
+    const orderItems = [];
+
+    try {
+        for(let index = 0; index < lines.length; index++) {
+            let newOrderItem = new OrderItem({
+                quantity: lines[index].quantity,
+                product: lines[index].product,
+                price: products[index].price,
+            });
+
+            await newOrderItem.save();
+
+            orderItems.push(newOrderItem);
+        }
+
+        const subtotal = roundPrice(lines.reduce((total, line, index) => {
+            return total + products[index].price * Number(line.quantity);
+        }, 0));
+
+        const discountTotal = roundPrice(discounts.reduce((total, discount) => total + discount.amount, 0));
+        const totalPrice = roundPrice(Math.max(subtotal + SHIPPING_PRICE - discountTotal, 0));
+
+        const order = new Order({
+            orderItems: orderItems.map(orderItem => orderItem._id),
+            shippingAddress1: details.shippingAddress1,
+            shippingAddress2: details.shippingAddress2,
+            city: details.city,
+            zip: details.zip,
+            country: details.country,
+            phone: details.phone,
+            status: 'pending',
+            statusHistory: [{ status: 'pending', changedBy: userId }],
+            subtotal: subtotal,
+            shippingPrice: SHIPPING_PRICE,
+            discounts: discounts,
+            discountTotal: discountTotal,
+            coupon: coupon ? coupon._id : undefined,
+            totalPrice: totalPrice,
+            user: userId,
+        });
+
+        await order.save();
+
+        return { order: order };
+
+    } catch(e) {
+        // Rollback: the order couldn't be saved, so remove what we created and give back the stock.
+        await OrderItem.deleteMany({ _id: { $in: orderItems.map(orderItem => orderItem._id) } });
+        await Promise.all(reserved.map(line => releaseStock(line.product, line.quantity)));
+
+        if(coupon) {
+            await releaseCoupon(coupon._id);
+        }
+
+        throw e;
+    }
+}
+
+module.exports.checkOrderLines = checkOrderLines;
+module.exports.placeOrder = placeOrder;
+module.exports.releaseOrderStock = releaseOrderStock;
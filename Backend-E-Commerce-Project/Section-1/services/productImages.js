@@ -0,0 +1,108 @@
+const crypto    = require('crypto');
+const path      = require('path');
+const sharp     = require('sharp');
+
+const { storage, keyFromUrl } = require('./storage');
+const { Product } = require('../models/product');
+
+const api = process.env.API_URL;
+
+// The Accepted File Extensions in our App.
+const FILE_TYPE_MAP = {
+    'image/png' : 'png',
+    'image/jpg' : 'jpg',
+    'image/jpeg': 'jpeg'
+};
+
+const THUMBNAIL_SIZE = 300;
+
+function thumbnailKey(key) {
+    return `thumb-${key}`;
+}
+
+// A unique key from the original name: "My Photo.png" => "My-Photo-1700000000000-a1b2c3.png".
+function uploadKey(file) {
+    const baseName = path
+        .basename(file.originalname, path.extname(file.originalname))
+        .replace(/[^A-Za-z0-9_-]+/g, '-')
+        .replace(/^-+/, '')
+        .slice(0, 50) || 'image';
+
+    const extension = FILE_TYPE_MAP[file.mimetype];
+
+    return `${baseName}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}.${extension}`;
+}
+
+// Checks that the upload really is an image, stores it with its thumbnail
+// and returns { key } OR { error } when it can't be stored.
+async function saveImage(file) {
+    if(!FILE_TYPE_MAP[file.mimetype]) {
+        return { error: 'Invalid Image Type' };
+    }
+
+    let thumbnail;
+
+    try {
+        thumbnail = await sharp(file.buffer)
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .toBuffer();
+    } catch(e) {
+        // sharp can't read it, so it isn't the image the client says it is.
+        return { error: 'Invalid Image File' };
+    }
+
+    const key = uploadKey(file);
+
+    await storage.save(key, file.buffer);
+    await storage.save(thumbnailKey(key), thumbnail);
+
+    return { key: key };
+}
+
+// Removes the stored images of the given keys and their thumbnails. We only log the
+// errors, a file left behind must not fail the request that removed the product.
+async function removeKeys(keys) {
+    await Promise.all(keys.map(async key => {
+        try {
+            await storage.remove(key);
+            await storage.remove(thumbnailKey(key));
+        } catch(e) {
+            console.error("Error In Removing Image: ", key, e.message);
+        }
+    }));
+}
+
+// Removes the images of the given URLs, when they are ours (see keyFromUrl)
+// and no other product still uses them. Call it after the product was changed or deleted.
+async function removeImages(req, urls) {
+    const prefix = imageUrl(req, '');
+
+    const keys = [...new Set(urls.map(url => keyFromUrl(url, prefix)).filter(key => !!key))];
+
+    const unused = [];
+
+    for(const key of keys) {
+        const url = new RegExp(`/${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`);
+
+        if(!await Product.exists({ $or: [{ image: url }, { images: url }] })) {
+            unused.push(key);
+        }
+    }
+
+    await removeKeys(unused);
+}
+
+// NOTE: PUBLIC_URL should be set in production, the Host header comes from the client.
+function imageUrl(req, key) {
+    const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+    return `${baseUrl}${api}/products/get/image/by/name/${key}`;
+}
+
+module.exports.FILE_TYPE_MAP = FILE_TYPE_MAP;
+module.exports.thumbnailKey = thumbnailKey;
+module.exports.saveImage = saveImage;
+module.exports.removeKeys = removeKeys;
+module.exports.removeImages = removeImages;
+module.exports.imageUrl = imageUrl;
@@ -0,0 +1,35 @@
+// The storage used for uploaded files, STORAGE_DRIVER picks it: local (default) OR s3.
+// Every driver has the same interface:
+//   save(key, body)  stores the buffer under key.
+//   read(key)        resolves { body, contentType } OR null when there is no such file.
+//   remove(key)      deletes the file, does nothing when it doesn't exist.
+const keys = require('./keys');
+
+function createStorage(env) {
+    const driver = env.STORAGE_DRIVER || 'local';
+
+    if(driver === 'local') {
+        return require('./localDriver')({
+            root: env.UPLOAD_DIR || 'dest/uploads',
+        });
+    }
+
+    if(driver === 's3') {
+        return require('./s3Driver')({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION || 'us-east-1',
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY,
+            secretAccessKey: env.S3_SECRET_KEY,
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+const storage = createStorage(process.env);
+
+module.exports.storage = storage;
+module.exports.createStorage = createStorage;
+module.exports.isValidKey = keys.isValidKey;
+module.exports.keyFromUrl = keys.keyFromUrl;
@@ -0,0 +1,46 @@
+const path = require('path');
+
+// The content types of the files we store, by extension.
+const CONTENT_TYPES = {
+    png:  'image/png',
+    jpg:  'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+};
+
+// A key is a plain file name: no slashes, no "..", nothing that can walk out of the storage.
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,199}$/;
+
+function isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key) && !key.includes('..');
+}
+
+function contentTypeFor(key) {
+    const extension = path.extname(key).slice(1).toLowerCase();
+
+    return CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+// Products store the public URL of their images. Only a URL under our own prefix
+// (the URL of the image route, see productImages.imageUrl) names one of our keys,
+// anything else is an outside image we must never touch.
+function keyFromUrl(url, prefix) {
+    if(!url || !prefix) {
+        return null;
+    }
+
+    const value = String(url).split('?')[0];
+
+    if(!value.startsWith(prefix)) {
+        return null;
+    }
+
+    const key = value.slice(prefix.length);
+
+    return isValidKey(key) ? key : null;
+}
+
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
+module.exports.isValidKey = isValidKey;
+module.exports.contentTypeFor = contentTypeFor;
+module.exports.keyFromUrl = keyFromUrl;
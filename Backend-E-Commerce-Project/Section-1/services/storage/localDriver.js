@@ -0,0 +1,71 @@
+const fs    = require('fs/promises');
+const path  = require('path');
+
+const { isValidKey, contentTypeFor } = require('./keys');
+
+// Stores the files in a folder on the disk of the server.
+function createLocalDriver(options) {
+    const root = path.resolve(options.root);
+
+    // Resolves the key inside root, null when the key could escape it.
+    function filePath(key) {
+        if(!isValidKey(key)) {
+            return null;
+        }
+
+        const file = path.resolve(root, key);
+
+        if(!file.startsWith(root + path.sep)) {
+            return null;
+        }
+
+        return file;
+    }
+
+    return {
+        name: 'local',
+
+        async save(key, body) {
+            const file = filePath(key);
+
+            if(!file) {
+                throw new Error(`Invalid Storage Key: ${key}`);
+            }
+
+            await fs.mkdir(root, { recursive: true });
+            await fs.writeFile(file, body);
+        },
+
+        async read(key) {
+            const file = filePath(key);
+
+            if(!file) {
+                return null;
+            }
+
+            try {
+                const body = await fs.readFile(file);
+
+                return { body: body, contentType: contentTypeFor(key) };
+            } catch(e) {
+                if(e.code === 'ENOENT' || e.code === 'EISDIR') {
+                    return null;
+                }
+
+                throw e;
+            }
+        },
+
+        async remove(key) {
+            const file = filePath(key);
+
+            if(!file) {
+                return;
+            }
+
+            await fs.rm(file, { force: true });
+        },
+    };
+}
+
+module.exports = createLocalDriver;
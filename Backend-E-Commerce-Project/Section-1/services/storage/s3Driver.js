@@ -0,0 +1,71 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+const { isValidKey, contentTypeFor } = require('./keys');
+
+// Stores the files in an S3 bucket, with S3_ENDPOINT it works against
+// any S3-compatible server (a local MinIO for example).
+function createS3Driver(options) {
+    const client = new S3Client({
+        region: options.region,
+        endpoint: options.endpoint,
+        // MinIO and most local servers don't support bucket sub-domains.
+        forcePathStyle: !!options.endpoint,
+        credentials: options.accessKeyId ? {
+            accessKeyId: options.accessKeyId,
+            secretAccessKey: options.secretAccessKey,
+        } : undefined,
+    });
+
+    const bucket = options.bucket;
+
+    return {
+        name: 's3',
+
+        async save(key, body) {
+            if(!isValidKey(key)) {
+                throw new Error(`Invalid Storage Key: ${key}`);
+            }
+
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentTypeFor(key),
+            }));
+        },
+
+        async read(key) {
+            if(!isValidKey(key)) {
+                return null;
+            }
+
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                const body = Buffer.from(await object.Body.transformToByteArray());
+
+                return { body: body, contentType: object.ContentType || contentTypeFor(key) };
+            } catch(e) {
+                if(e.name === 'NoSuchKey' || (e.$metadata && e.$metadata.httpStatusCode === 404)) {
+                    return null;
+                }
+
+                throw e;
+            }
+        },
+
+        async remove(key) {
+            if(!isValidKey(key)) {
+                return;
+            }
+
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+    };
+}
+
+module.exports = createS3Driver;
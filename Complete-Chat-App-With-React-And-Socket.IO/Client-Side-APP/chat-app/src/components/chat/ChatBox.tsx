@@ -1,17 +1,17 @@
 // import React from 'react'
 import { Stack } from 'react-bootstrap';
-import { ChatType, Message, User } from '../../context/ChatContext'
+import { Attachment, ChatType, Message, User } from '../../context/ChatContext'
 import moment from 'moment';
 
 import InputEmoji from "react-input-emoji";
-import { useEffect, useRef, useState } from 'react';
-
-import { BASE_URL, postRequest } from '../../utils/services';
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { chatTitle, isChatAdmin } from '../../utils/chatInfo';
+import { fetchAttachment } from '../../utils/services';
 
 interface Props {
     user: User;
 
-    currentChat: ChatType;
+    currentChat: ChatType | null;
 
     messages: Array<Message>;
 
@@ -25,57 +25,228 @@ interface Props {
 
     setSendTxtMsgError: React.Dispatch<React.SetStateAction<string>>;
 
-    setNewMessage: React.Dispatch<React.SetStateAction<Message>>;
+    sendTextMessage: (text: string) => Promise<boolean>;
+
+    sendAttachments: (files: Array<File>, text: string) => Promise<boolean>;
+
+    // The Ids Of The Other Members Typing In This Chat.
+    typingUsers: Array<string>;
+
+    notifyTyping: () => void;
+
+    hasMoreMessages: boolean;
+
+    isOlderMsgLoading: boolean;
+
+    loadOlderMessages: () => Promise<void>;
+
+    editMessage: (messageId: string, text: string) => Promise<void>;
+
+    deleteMessage: (messageId: string, forEveryone: boolean) => Promise<void>;
+
+    reactToMessage: (messageId: string, emoji: string) => Promise<void>;
+}
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢"];
+
+const fileSize = (size: number) => size < 1024 * 1024
+    ? `${Math.ceil(size / 1024)} KB`
+    : `${(size / 1024 / 1024).toFixed(1)} MB`;
+
+// Opens The Full Image In A New Tab, OR Downloads The Other Files.
+const openAttachment = async (messageId: string, attachment: Attachment) => {
+    try {
+        const url = await fetchAttachment(messageId, attachment.key);
+
+        const link = document.createElement("a");
+
+        link.href = url;
+
+        if (attachment.thumbnailKey) {
+            link.target = "_blank";
+            link.rel = "noreferrer";
+        } else {
+            link.download = attachment.name;
+        }
+
+        link.click();
+
+        // The New Tab OR The Download Has Read The Blob By Then.
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (ex) {
+        console.log("The Error of Opening The Attachment is: ", ex);
+    }
+}
+
+// The Thumbnail Is Fetched With The Token, Its Object URL Is Released With The Component.
+const AttachmentThumbnail = ({ messageId, attachment }: { messageId: string, attachment: Attachment }) => {
+    const [src, setSrc] = useState<string>("");
+
+    useEffect(() => {
+        let url = "";
+
+        let isCancelled = false;
+
+        fetchAttachment(messageId, attachment.key, true).then((t1) => {
+            if (isCancelled) return URL.revokeObjectURL(t1);
+
+            url = t1;
+
+            setSrc(t1);
+        }).catch((ex) => {
+            console.log("The Error of Loading The Thumbnail is: ", ex);
+        });
+
+        return () => {
+            isCancelled = true;
+
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [messageId, attachment.key]);
+
+    return src
+        ? <img src={src} alt={attachment.name} />
+        : <span className="message-file">{attachment.name}</span>;
+}
+
+// The Images Show Their Thumbnail (Opening The Full Image), The Other Files Are Downloaded On Click.
+const MessageAttachments = ({ message }: { message: Message }) => {
+    if (!message.attachments?.length) return null;
+
+    return <div className="message-attachments">
+        {message.attachments.map((attachment: Attachment) => attachment.thumbnailKey
+            ? <span key={attachment.key} role="button" onClick={() => openAttachment(message._id, attachment)}>
+                <AttachmentThumbnail messageId={message._id} attachment={attachment} />
+            </span>
+            : <span key={attachment.key} role="button" className="message-file" onClick={() => openAttachment(message._id, attachment)}>
+                {attachment.name} ({fileSize(attachment.size)})
+            </span>)}
+    </div>;
+}
+
+// ✓ Sent, ✓✓ Delivered To Every Member, And Blue ✓✓ When Every Member Has Read It.
+const MessageTicks = ({ message }: { message: Message }) => {
+    const receipts = message.receipts ?? [];
+
+    if (receipts.length > 0 && receipts.every(r => r.readAt)) {
+        return <span className="message-ticks read">✓✓</span>;
+    }
+
+    if (receipts.length > 0 && receipts.every(r => r.deliveredAt)) {
+        return <span className="message-ticks">✓✓</span>;
+    }
+
+    return <span className="message-ticks">✓</span>;
+}
+
+// The Reactions Grouped By Emoji, Our Own Reaction Is Highlighted.
+const MessageReactions = ({ message, user }: { message: Message, user: User }) => {
+    const counts = new Map<string, number>();
+
+    message.reactions?.forEach(r => counts.set(r.emoji, (counts.get(r.emoji) ?? 0) + 1));
+
+    if (counts.size == 0) return null;
+
+    const mine = message.reactions?.find(r => r.user === user._id)?.emoji;
+
+    return <span className="message-reactions">
+        {[...counts].map(([emoji, count]) =>
+            <span key={emoji} className={emoji === mine ? "reaction mine" : "reaction"}>{emoji} {count}</span>)}
+    </span>;
 }
 
 const ChatBox = ({ user, currentChat, messages, isMsgLoading,
-    msgMsgError, setMessages, setSendTxtMsgError, setNewMessage }: Props) => {
+    msgMsgError, sendTextMessage, sendAttachments, typingUsers, notifyTyping,
+    hasMoreMessages, isOlderMsgLoading, loadOlderMessages,
+    editMessage, deleteMessage, reactToMessage }: Props) => {
     const recipientUser = currentChat?.members.find((elem) => elem._id != user._id);
 
     const [txtMsg, setTxtMsg] = useState<string>("");
 
+    const [files, setFiles] = useState<Array<File>>([]);
+
+    const fileInput = useRef<HTMLInputElement>(null);
+
     const scroll = useRef<HTMLSpanElement>(null);
 
+    const messagesBox = useRef<HTMLDivElement>(null);
+
+    // The Scroll Position Before Loading The Older Messages, To Keep The Same Messages In View.
+    const scrollBefore = useRef<{ height: number, top: number } | null>(null);
+
+    const firstMessageId = messages?.[0]?._id;
+
+    const lastMessageId = messages?.[messages.length - 1]?._id;
+
+    const typingNames = currentChat?.members
+        .filter(member => typingUsers?.includes(member._id))
+        .map(member => member.email) ?? [];
+
+    const updateTxtMsg = (text: string) => {
+        setTxtMsg(text);
+
+        if (text) {
+            notifyTyping();
+        }
+    }
+
+    // Only A New Message At The End Scrolls Down, Not The Older Pages OR The Ticks.
     useEffect(()=>{
         scroll.current?.scrollIntoView({behavior: "smooth"});
-    }, [messages]);
+    }, [lastMessageId]);
 
-    // console.log("The Text Message is: ", txtMsg);
+    useLayoutEffect(() => {
+        const box = messagesBox.current;
 
-    const sendMessage = async () => {
-        try {
-            if (!txtMsg) return console.log("You Must Enter Message First...");
+        if (box && scrollBefore.current) {
+            box.scrollTop = box.scrollHeight - scrollBefore.current.height + scrollBefore.current.top;
 
-            const response = await postRequest(`${BASE_URL}/messages/create-new-message`, {
-                senderId: user?._id,
-                chatId: currentChat?._id,
-                text: txtMsg
-            });
+            scrollBefore.current = null;
+        }
+    }, [firstMessageId]);
 
-            setTxtMsg("");
+    const onMessagesScroll = () => {
+        const box = messagesBox.current;
 
-            if (response.status == 201) {
-                // console.log("Message Sended Successfully");
+        if (!box || box.scrollTop > 60 || !hasMoreMessages || isOlderMsgLoading) return;
 
-                if (!messages || messages.length == 0) {
-                    setMessages([response.data.message]);
-                } else {
-                    setMessages([...messages, response.data.message]);
-                }
+        scrollBefore.current = { height: box.scrollHeight, top: box.scrollTop };
 
-                setNewMessage(response.data.message);
+        loadOlderMessages();
+    }
 
-                // console.log('---------------------------------------');
-                // console.log("The New Message is: ", response.data.message);
-                // console.log('---------------------------------------');
-            }
-        } catch (ex: any) {
-            console.error("Exception is: ", ex);
+    // console.log("The Text Message is: ", txtMsg);
+
+    const onEditMessage = (message: Message) => {
+        const text = window.prompt("Edit The Message", message.text);
+
+        if (text && text.trim() !== message.text) {
+            editMessage(message._id, text);
+        }
+    }
+
+    const onDeleteMessage = (message: Message) => {
+        const isMine = message.sender._id === user._id;
+
+        if (isMine && window.confirm("Delete This Message For Everyone? (Cancel To Delete It For You Only)")) {
+            return deleteMessage(message._id, true);
+        }
+
+        if (window.confirm("Delete This Message For You?")) {
+            deleteMessage(message._id, false);
+        }
+    }
 
-            setSendTxtMsgError(ex.response.data.msg);
+    const sendMessage = async () => {
+        if (!txtMsg && files.length == 0) return console.log("You Must Enter Message First...");
 
-            console.error("Exception Msg is: ", ex.response.data.msg);
+        const isSent = files.length > 0
+            ? await sendAttachments(files, txtMsg)
+            : await sendTextMessage(txtMsg);
 
+        if (isSent) {
+            setTxtMsg("");
+            setFiles([]);
         }
     }
 
@@ -94,7 +265,7 @@ const ChatBox = ({ user, currentChat, messages, isMsgLoading,
     //     // console.log("The Member-02 is: ", currentChat?.members[1].email);
     // }
 
-    if (!recipientUser) {
+    if (!currentChat || (!recipientUser && !currentChat.isGroup)) {
         return <p style={{ textAlign: "center", width: "100%" }}>
             No Recipient User Found
         </p>
@@ -121,10 +292,17 @@ const ChatBox = ({ user, currentChat, messages, isMsgLoading,
     return (
         <Stack gap={4} className="chat-box">
             <div className="chat-header">
-                <strong>{recipientUser?.email}</strong>
+                <strong>{chatTitle(currentChat, user)}</strong>
+
+                {currentChat?.isGroup && <span className="chat-members">
+                    {currentChat.members
+                        .map(member => isChatAdmin(currentChat, member._id) ? `${member.email} (Admin)` : member.email)
+                        .join(", ")}
+                </span>}
             </div>
 
-            <Stack gap={3} className="messages">
+            <Stack gap={3} className="messages" ref={messagesBox} onScroll={onMessagesScroll}>
+                {isOlderMsgLoading && <span className="older-messages-loading">Loading Older Messages...</span>}
                 {messages && messages.map((message: Message, index: number) => {
                     return (
                         <Stack
@@ -135,17 +313,56 @@ const ChatBox = ({ user, currentChat, messages, isMsgLoading,
                             }
                             ref={scroll}
                         >
-                            <span>{message.text}</span>
-                            <span className="message-footer">{moment(message.createdAt).calendar()}</span>
+                            {currentChat?.isGroup && message?.sender._id !== user._id &&
+                                <span className="message-sender">{message.sender.email}</span>}
+                            {message.isDeleted
+                                ? <span className="message-deleted">This Message Was Deleted</span>
+                                : message.text && <span>{message.text}</span>}
+                            {!message.isDeleted && <MessageAttachments message={message} />}
+                            <MessageReactions message={message} user={user} />
+                            <span className="message-footer">
+                                {message.isEdited && !message.isDeleted && <span className="message-edited">(Edited) </span>}
+                                {moment(message.createdAt).calendar()}
+                                {message?.sender._id === user._id && <MessageTicks message={message} />}
+                            </span>
+                            {!message.isDeleted && <span className="message-actions">
+                                {QUICK_REACTIONS.map(emoji =>
+                                    <span key={emoji} role="button" onClick={() => reactToMessage(message._id, emoji)}>{emoji}</span>)}
+                                {message.sender._id === user._id &&
+                                    <span role="button" onClick={() => onEditMessage(message)}>Edit</span>}
+                                <span role="button" onClick={() => onDeleteMessage(message)}>Delete</span>
+                            </span>}
                         </Stack>
                     );
                 })}
             </Stack>
 
+            {typingNames.length > 0 && <div className="typing-indicator">
+                {`${typingNames.join(", ")} ${typingNames.length > 1 ? "Are" : "Is"} Typing...`}
+            </div>}
+
+            {files.length > 0 && <div className="selected-files">
+                {files.map((file, index) =>
+                    <span key={index} role="button" onClick={() => setFiles(prev => prev.filter((_, i) => i !== index))}>
+                        {file.name} ({fileSize(file.size)}) ✕
+                    </span>)}
+            </div>}
+
             <Stack direction="horizontal" gap={3} className="chat-input flex-grow-0">
+                <input type="file" multiple hidden ref={fileInput}
+                    onChange={(e) => {
+                        const selected = Array.from(e.target.files ?? []);
+
+                        setFiles(prev => [...prev, ...selected].slice(0, 5));
+
+                        e.target.value = "";
+                    }} />
+
+                <button className="attach-btn" onClick={() => fileInput.current?.click()}>📎</button>
+
                 <InputEmoji 
                     value={txtMsg} 
-                    onChange={setTxtMsg} 
+                    onChange={updateTxtMsg} 
                     fontFamily="nunito" 
                     borderColor="rgba(72, 112, 223, 0.2)" 
                     onEnter={() => sendMessage()} 
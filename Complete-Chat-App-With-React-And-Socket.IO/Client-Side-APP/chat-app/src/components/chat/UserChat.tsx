@@ -1,12 +1,12 @@
 // import React from 'react';
 
 
-import { ChatType, OnlineUsers, User, UserNotification } from '../../context/ChatContext'
+import { ChatType, OnlineUsers, User } from '../../context/ChatContext'
 // import { useFetchRecipientUser } from '../../hook/useFetchRecipientUser';
 import { Stack } from 'react-bootstrap';
 
 import Avatar from '../../assets/avatar-01.svg'
-import { unreadNotificationFunc } from '../../utils/unreadNotifications';
+import { chatTitle, otherMembers } from '../../utils/chatInfo';
 
 
 interface Props {
@@ -15,45 +15,43 @@ interface Props {
 
     onlineUsers: Array<OnlineUsers>;
 
-    userNotifications: UserNotification[];
+    // The Unread Notifications Of This Chat, Counted By The Server.
+    unreadCount: number;
 
-    markThisUserNotificationsAsRead: (thisUserNotifications: UserNotification[], userNotifications: UserNotification[]) => void;
+    markChatNotificationsAsRead: (chatId: string) => void;
 }
 
-const UserChat = ({ chat, user, onlineUsers, userNotifications, markThisUserNotificationsAsRead }: Props) => {
+const UserChat = ({ chat, user, onlineUsers, unreadCount, markChatNotificationsAsRead }: Props) => {
     // const { recipientUser, errMsg } = useFetchRecipientUser(chat, user);
     const recipientUser = chat.members.find((elem) => elem._id != user._id);
 
-    // console.log("The Online Users From UserChat is: ", onlineUsers);
-
-    const unreadNotifications = unreadNotificationFunc(userNotifications);
+    const members = otherMembers(chat, user);
 
-    // Get The Recipient User Notifications.
-    const thisUserNotifications = unreadNotifications.filter(un => un.senderId === recipientUser._id);
+    // console.log("The Online Users From UserChat is: ", onlineUsers);
 
     return (
         <Stack direction="horizontal"
             gap={3}
             className="user-card align-items-center p-2 justify-content-between"
             onClick={() => {
-                if (thisUserNotifications?.length > 0) {
-                    markThisUserNotificationsAsRead(thisUserNotifications, userNotifications)
+                if (unreadCount > 0) {
+                    markChatNotificationsAsRead(chat._id);
                 }
             }}
             role="button">
             <div className="d-flex align-items-center justify-content-center">
                 <div className="me-2">
-                    <img src={Avatar} width={35} />
+                    <img src={chat.avatar || Avatar} width={35} />
                 </div>
 
                 <div className="text-content">
                     <div className="name">
-                        {recipientUser?.email}
-                        {recipientUser == null && <p>No User Found!!</p>}
+                        {chatTitle(chat, user)}
+                        {!chat.isGroup && recipientUser == null && <p>No User Found!!</p>}
                     </div>
 
                     <div className="text">
-                        Text Message Here...
+                        {chat.isGroup ? `${chat.members.length} Members` : "Text Message Here..."}
                     </div>
                 </div>
             </div>
@@ -63,11 +61,9 @@ const UserChat = ({ chat, user, onlineUsers, userNotifications, markThisUserNoti
                     {new Date(chat.createdAt).toDateString()}
                 </div>
 
-                {thisUserNotifications?.length > 0 && <div className="this-user-notifications">{thisUserNotifications.length}</div>}
-
-                {thisUserNotifications?.length === 0 && <div className="this-user-notifications">0</div>}
+                <div className="this-user-notifications">{unreadCount}</div>
 
-                {onlineUsers?.some(t1 => t1.userId == recipientUser?._id) && <span className="user-online"></span>}
+                {onlineUsers?.some(t1 => members.some(member => member._id == t1.userId)) && <span className="user-online"></span>}
             </div>
         </Stack>
     )
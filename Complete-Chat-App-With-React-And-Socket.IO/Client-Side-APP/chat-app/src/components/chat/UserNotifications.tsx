@@ -6,17 +6,21 @@ import moment from 'moment';
 const UserNotifications = () => {
     const [isOpen, setIsOpen] = useState<boolean>(false);
 
-    const { userNotifications, userChats, allUsers,
-        user, markAllNotificationsAsRead, markNotificationAsRead, currentChat } = useContext(ChatContext);
+    const { userNotifications, allUsers, unreadCounts,
+        markAllNotificationsAsRead, markNotificationAsRead } = useContext(ChatContext);
 
     const unreadNotifications = unreadNotificationFunc(userNotifications);
 
+    // The Server Counts All The Unread Notifications, We Only Keep The Last Ones In userNotifications.
+    const unreadTotal = Object.values<number>(unreadCounts).reduce((total, count) => total + count, 0);
+
     const modifiedNotifications = userNotifications.map((userNotification: UserNotification) => {
-        const sender = allUsers.find((pUser: User) => pUser._id === userNotification.senderId);
+        const sender = userNotification.message?.sender
+            ?? allUsers.find((pUser: User) => pUser._id === userNotification.senderId);
 
         return {
             ...userNotification,
-            senderName: sender.email,
+            senderName: sender?.email,
         }
     });
 
@@ -32,7 +36,7 @@ const UserNotifications = () => {
                     <path d="M2 0a2 2 0 0 0-2 2v12.793a.5.5 0 0 0 .854.353l2.853-2.853A1 1 0 0 1 4.414 12H14a2 2 0 0 0 2-2V2a2 2 0 0 0-2-2z" />
                 </svg>
 
-                {unreadNotifications.length > 0 && <span className='notification-count'>{unreadNotifications.length}</span>}
+                {unreadTotal > 0 && <span className='notification-count'>{unreadTotal}</span>}
             </div>
 
             {isOpen && <div className="notifications-box">
@@ -40,10 +44,10 @@ const UserNotifications = () => {
                     <h3>User Notifications</h3>
 
                     <div className="mark-as-read" onClick={() => {
-                        if (unreadNotifications.length == 0) {
+                        if (unreadTotal == 0) {
                             return;
                         }
-                        markAllNotificationsAsRead(unreadNotifications);
+                        markAllNotificationsAsRead();
                     }
                     }>Mark All As Read</div>
                 </div>
@@ -63,7 +67,7 @@ const UserNotifications = () => {
 
                                 return;
                             }
-                            markNotificationAsRead(n, userChats, user, userNotifications);
+                            markNotificationAsRead(n);
                             setIsOpen(false);
                         }}
                     >
@@ -1,7 +1,7 @@
 /* eslint-disable react-hooks/exhaustive-deps */
-import React, { createContext, useCallback, useEffect, useState } from "react";
+import React, { createContext, useCallback, useEffect, useRef, useState } from "react";
 
-import { BASE_URL, getRequest, postRequest } from "../utils/services";
+import { BASE_URL, SOCKET_URL, errorMessage, getRequest, patchRequest, postFormRequest, postRequest, putRequest } from "../utils/services";
 
 import { Socket, io } from "socket.io-client";
 // import UserNotifications from "../components/chat/UserNotifications";
@@ -24,19 +24,60 @@ export interface ChatType {
     members: Array<User>;
     _id: string;
 
+    // Only For Groups, See Server-Side-APP/models/chatModel.js.
+    isGroup?: boolean;
+    name?: string;
+    avatar?: string;
+    admins?: Array<string>;
+
     createdAt: string;
     updatedAt: string;
+
+    // The Unread Notifications Of The Logged User In This Chat.
+    unreadCount?: number;
 }
 
 export interface Chats {
     chats: Array<ChatType>;
 }
 
+// One Receipt For Every Other Member Of The Chat, See Server-Side-APP/models/messageModel.js.
+export interface Receipt {
+    user: string;
+    deliveredAt: string | null;
+    readAt: string | null;
+}
+
+// A File Sent With A Message, See Server-Side-APP/storage/attachments.js.
+export interface Attachment {
+    key: string;
+    name: string;
+    mimeType: string;
+    size: number;
+
+    // Only For The Images.
+    width?: number;
+    height?: number;
+    thumbnailKey?: string;
+}
+
 export interface Message {
     chat: ChatType;
     sender: User;
     text: string;
 
+    receipts?: Array<Receipt>;
+
+    attachments?: Array<Attachment>;
+
+    isEdited?: boolean;
+    editHistory?: Array<{ text: string, editedAt: string }>;
+
+    reactions?: Array<{ user: string, emoji: string }>;
+
+    // Deleted For Everyone, The Text Is Empty.
+    isDeleted?: boolean;
+
     _id: string;
 
     createdAt: string;
@@ -56,16 +97,39 @@ export interface MessageCD {
 }
 
 export interface OnlineUsers {
-    socketId: string;
     userId: string;
+    // The number of tabs OR devices the user is connected from.
+    socketCount: number;
 }
 
+// The Notifications Are Stored On The Server, See Server-Side-APP/models/notificationModel.js.
 export interface UserNotification {
+    _id: string,
+    chatId: string,
     senderId: string,
+    message?: Message,
     isRead: boolean,
+    readAt?: string | null,
     date: Date,
 }
 
+// Sent By The Server To The Sender (Events "messagesDelivered" And "messagesRead").
+interface ReceiptsUpdate {
+    chatId: string;
+    userId: string;
+    messageIds: Array<string>;
+    deliveredAt?: string;
+    readAt?: string;
+}
+
+// Sent By The Server (Event "notificationsRead") To All The Tabs/Devices Of The User.
+interface NotificationsRead {
+    all?: boolean;
+    chatId?: string;
+    notificationId?: string;
+    readAt: string;
+}
+
 interface ChatContextType {
     userChats: Array<ChatType>;
     isLoading: boolean;
@@ -87,13 +151,25 @@ interface ChatContextType {
 
     setMessages: React.Dispatch<React.SetStateAction<Message[]>>;
 
+    // The Messages Are Loaded By Pages, Newest First.
+    hasMoreMessages: boolean;
+    isOlderMsgLoading: boolean;
+
+    loadOlderMessages: () => Promise<void>;
+
+    editMessage: (messageId: string, text: string) => Promise<void>;
+
+    deleteMessage: (messageId: string, forEveryone: boolean) => Promise<void>;
+
+    reactToMessage: (messageId: string, emoji: string) => Promise<void>;
+
     sendTxtMsgError: string;
 
     setSendTxtMsgError: React.Dispatch<React.SetStateAction<string>>;
 
-    newMessage: Message | undefined;
+    sendTextMessage: (text: string) => Promise<boolean>;
 
-    setNewMessage: React.Dispatch<React.SetStateAction<Message | undefined>>;
+    sendAttachments: (files: Array<File>, text: string) => Promise<boolean>;
 
     onlineUsers: Array<OnlineUsers>;
 
@@ -103,12 +179,19 @@ interface ChatContextType {
 
     allUsers: User[];
 
-    markAllNotificationsAsRead: (notifications: UserNotification[]) => void;
+    // { chatId: count } Of The Unread Notifications.
+    unreadCounts: Record<string, number>;
+
+    markAllNotificationsAsRead: () => void;
+
+    markNotificationAsRead: (n: UserNotification) => void;
 
-    markNotificationAsRead: (n: UserNotification, userChats: Array<ChatType>,
-        user: User, notifications: UserNotification[]) => void;
+    markChatNotificationsAsRead: (chatId: string) => void;
 
-    markThisUserNotificationsAsRead: (thisUserNotifications: UserNotification[], userNotifications: UserNotification[]) => void;
+    // { chatId: [userId] } Of The Members Typing Now.
+    typingUsers: Record<string, Array<string>>;
+
+    notifyTyping: () => void;
 }
 
 export const ChatContext = createContext<ChatContextType | undefined>(undefined);
@@ -131,9 +214,11 @@ export const ChatContextProvider = ({ children, user }: Props) => {
 
     const [messages, setMessages] = useState<Message[]>([]);
 
-    const [sendTxtMsgError, setSendTxtMsgError] = useState<string>("");
+    const [hasMoreMessages, setHasMoreMessages] = useState<boolean>(false);
+
+    const [isOlderMsgLoading, setIsOlderMsgLoading] = useState<boolean>(false);
 
-    const [newMessage, setNewMessage] = useState<Message>();
+    const [sendTxtMsgError, setSendTxtMsgError] = useState<string>("");
 
     const [socket, setSocket] = useState<Socket>();
 
@@ -141,6 +226,20 @@ export const ChatContextProvider = ({ children, user }: Props) => {
 
     const [userNotifications, setUserNotifications] = useState<UserNotification[]>([]);
 
+    const [unreadCounts, setUnreadCounts] = useState<Record<string, number>>({});
+
+    const [typingUsers, setTypingUsers] = useState<Record<string, Array<string>>>({});
+
+    // A Member Stays "Typing" For A While Only, In Case Their "stopTyping" Is Lost.
+    const typingTimersRef = useRef<Record<string, ReturnType<typeof setTimeout>>>({});
+
+    const lastTypingRef = useRef<number>(0);
+
+    const stopTypingTimerRef = useRef<ReturnType<typeof setTimeout>>();
+
+    // The Server Time Of The Last Catch-Up, We Ask Only For The Newer Notifications.
+    const lastSyncRef = useRef<string | null>(null);
+
     const [allUsers, setAllUsers] = useState<User[]>([]);
 
     // console.log("The Current Chat is: ", currentChat);
@@ -148,7 +247,10 @@ export const ChatContextProvider = ({ children, user }: Props) => {
     // console.log("The Current Messages is: ", messages);
 
     useEffect(() => {
-        let newSocket = io("http://localhost:3000");
+        // The Socket Server Only Accepts Connections With The Token From Login/Register.
+        let newSocket = io(SOCKET_URL, {
+            auth: { token: localStorage.getItem("Token") },
+        });
 
         setSocket(newSocket);
 
@@ -189,18 +291,278 @@ export const ChatContextProvider = ({ children, user }: Props) => {
         }
     }, [socket]);
 
-    // Send A Message
+    // Applies A Read Event On The Local State, The Same For Our Requests And For The Ones From Our Other Tabs/Devices.
+    const applyNotificationsRead = useCallback((event: NotificationsRead) => {
+        const isTarget = (n: UserNotification) => event.all
+            || n.chatId === event.chatId
+            || n._id === event.notificationId;
+
+        setUserNotifications((prev) => prev.map(n => !n.isRead && isTarget(n) ? { ...n, isRead: true, readAt: event.readAt } : n));
+
+        setUnreadCounts((prev) => {
+            if (event.all) {
+                return {};
+            }
+
+            if (event.chatId) {
+                return { ...prev, [event.chatId]: 0 };
+            }
+
+            return prev;
+        });
+    }, []);
+
+    const markChatNotificationsAsRead = useCallback((chatId: string) => {
+        if (!user?._id) return;
+
+        patchRequest(`${BASE_URL}/notifications/mark-chat-as-read/${user._id}/${chatId}`).then(() => {
+            applyNotificationsRead({ chatId, readAt: new Date().toISOString() });
+        }).catch((ex) => {
+            console.log("The Error of Marking The Chat As Read is: ", ex.message);
+        });
+    }, [user]);
+
+    // Tells The Server We Read The Chat Up To Its Last Message From The Other Members.
+    const readChatUpTo = useCallback((chatId: string, chatMessages: Message[]) => {
+        const last = [...(chatMessages ?? [])].reverse().find(m => m.sender?._id !== user?._id);
+
+        if (last) {
+            socket?.emit("readUpTo", { chatId, messageId: last._id });
+        }
+    }, [socket, user]);
+
+    // Catch-Up: On Every (Re)Connection We Get The Notifications, And So The Messages, We Missed While Offline.
+    useEffect(() => {
+        if (!socket || !user?._id) return;
+
+        const catchUp = async () => {
+            try {
+                const since = lastSyncRef.current ? `?since=${encodeURIComponent(lastSyncRef.current)}` : "";
+
+                const response = await getRequest(`${BASE_URL}/notifications/get-user-notifications/${user._id}${since}`);
+
+                const notifications: UserNotification[] = response.data.notifications;
+
+                lastSyncRef.current = response.data.serverTime;
+
+                setUnreadCounts(response.data.unreadCounts);
+
+                setUserNotifications((prev) => [
+                    ...notifications.filter(n => !prev.some(p => p._id === n._id)),
+                    ...prev,
+                ]);
+
+                const t1 = localStorage.getItem("currentChat");
+
+                const t2 = t1 ? JSON.parse(t1) : null;
+
+                // The Server Sends The Newest First.
+                const missed = notifications
+                    .filter(n => n.chatId === t2?._id && n.message)
+                    .map(n => n.message as Message)
+                    .reverse();
+
+                if (missed.length > 0) {
+                    setMessages((prev: Message[]) => [...(prev ?? []), ...missed.filter(m => !prev?.some(p => p._id === m._id))]);
+
+                    markChatNotificationsAsRead(t2._id);
+
+                    readChatUpTo(t2._id, missed);
+                }
+            } catch (ex) {
+                console.log("The Error of Catching Up The Notifications is: ", errorMessage(ex));
+            }
+        };
+
+        socket.on("connect", catchUp);
+
+        socket.on("notificationsRead", applyNotificationsRead);
+
+        if (socket.connected) {
+            catchUp();
+        }
+
+        return () => {
+            socket.off("connect", catchUp);
+
+            socket.off("notificationsRead", applyNotificationsRead);
+        };
+    }, [socket, user]);
+
+    // Our Messages Were Delivered To OR Read By Another Member.
+    useEffect(() => {
+        if (!socket) return;
+
+        const onReceipts = (update: ReceiptsUpdate) => {
+            setMessages((prev: Message[]) => prev?.map((message) => {
+                if (!update.messageIds.includes(message._id)) {
+                    return message;
+                }
+
+                return {
+                    ...message,
+                    receipts: message.receipts?.map(r => r.user !== update.userId ? r : {
+                        ...r,
+                        deliveredAt: r.deliveredAt ?? update.deliveredAt ?? update.readAt ?? null,
+                        readAt: r.readAt ?? update.readAt ?? null,
+                    }),
+                };
+            }));
+        };
+
+        socket.on("messagesDelivered", onReceipts);
+
+        socket.on("messagesRead", onReceipts);
+
+        return () => {
+            socket.off("messagesDelivered", onReceipts);
+
+            socket.off("messagesRead", onReceipts);
+        };
+    }, [socket]);
+
+    // Typing Indicators Of The Other Members.
     useEffect(() => {
-        if (socket) {
-            let recipient = currentChat?.members.find(t1 => t1._id !== user._id);
+        if (!socket) return;
+
+        const removeTyping = ({ chatId, userId }: { chatId: string, userId: string }) => {
+            clearTimeout(typingTimersRef.current[`${chatId}:${userId}`]);
+
+            setTypingUsers((prev) => ({ ...prev, [chatId]: (prev[chatId] ?? []).filter(id => id !== userId) }));
+        };
+
+        const onTyping = ({ chatId, userId }: { chatId: string, userId: string }) => {
+            const key = `${chatId}:${userId}`;
+
+            clearTimeout(typingTimersRef.current[key]);
+
+            typingTimersRef.current[key] = setTimeout(() => removeTyping({ chatId, userId }), 5000);
+
+            setTypingUsers((prev) => (prev[chatId] ?? []).includes(userId)
+                ? prev
+                : { ...prev, [chatId]: [...(prev[chatId] ?? []), userId] });
+        };
+
+        socket.on("typing", onTyping);
+
+        socket.on("stopTyping", removeTyping);
+
+        return () => {
+            socket.off("typing", onTyping);
+
+            socket.off("stopTyping", removeTyping);
+        };
+    }, [socket]);
+
+    const stopTyping = useCallback(() => {
+        clearTimeout(stopTypingTimerRef.current);
+
+        if (lastTypingRef.current != 0 && currentChat) {
+            socket?.emit("stopTyping", { chatId: currentChat._id });
+        }
+
+        lastTypingRef.current = 0;
+    }, [socket, currentChat]);
+
+    // Called On Every Key, We Send "typing" Every 2 Seconds At Most And "stopTyping" After 3 Seconds Without Typing.
+    const notifyTyping = useCallback(() => {
+        if (!socket || !currentChat) return;
+
+        if (Date.now() - lastTypingRef.current > 2000) {
+            socket.emit("typing", { chatId: currentChat._id });
+
+            lastTypingRef.current = Date.now();
+        }
+
+        clearTimeout(stopTypingTimerRef.current);
 
-            if (!recipient) return console.log("No Recipient Found For NewMessage: ", newMessage);
+        stopTypingTimerRef.current = setTimeout(stopTyping, 3000);
+    }, [socket, currentChat, stopTyping]);
 
-            // console.log("The Recipient Id is: ", recipient);
+    // Send A Message: The Server Saves It, Answers With The Stored Message And Then Pushes It To The Recipients.
+    const sendTextMessage = useCallback((text: string) => {
+        return new Promise<boolean>((resolve) => {
+            if (!socket || !currentChat) {
+                setSendTxtMsgError("No Connection To The Chat Server");
+                return resolve(false);
+            }
+
+            stopTyping();
+
+            socket.emit("addMessage", { chatId: currentChat._id, text },
+                (response: { status: boolean, msg?: string, message?: Message }) => {
+                    if (!response.status || !response.message) {
+                        setSendTxtMsgError(response.msg ?? "The Message Can't Be Sent");
+                        return resolve(false);
+                    }
+
+                    const message = response.message;
+
+                    setSendTxtMsgError("");
+                    setMessages((prev: Message[]) => prev ? [...prev, message] : [message]);
+
+                    resolve(true);
+                });
+        });
+    }, [socket, currentChat, stopTyping]);
+
+    // The Files Are Uploaded With The REST API, The Server Pushes The Message To The Recipients Like A Text One.
+    const sendAttachments = useCallback(async (files: Array<File>, text: string) => {
+        if (!currentChat) return false;
+
+        const body = new FormData();
+
+        body.append("chatId", currentChat._id);
+        body.append("text", text);
+
+        files.forEach(file => body.append("files", file));
+
+        try {
+            stopTyping();
+
+            const response = await postFormRequest(`${BASE_URL}/messages/create-message-with-attachments`, body);
 
-            socket.emit("addMessage", { ...newMessage, recipientId: recipient._id });
+            const message: Message = response.data.message;
+
+            setSendTxtMsgError("");
+            setMessages((prev: Message[]) => prev ? [...prev, message] : [message]);
+
+            return true;
+        } catch (ex) {
+            setSendTxtMsgError(errorMessage(ex));
+
+            return false;
         }
-    }, [newMessage]);
+    }, [user, currentChat, stopTyping]);
+
+    // The Groups Of The User Changed (Renamed, Members Added/Removed...) OR The User Left/Was Removed.
+    useEffect(() => {
+        if (!socket) return;
+
+        const onChatUpdated = (chat: ChatType) => {
+            setUserChats((prev) => prev?.some(c => c._id === chat._id)
+                ? prev.map(c => c._id === chat._id ? { ...c, ...chat } : c)
+                : [...(prev ?? []), chat]);
+
+            setCurrentChat((prev) => prev?._id === chat._id ? { ...prev, ...chat } : prev);
+        };
+
+        const onChatRemoved = ({ chatId }: { chatId: string }) => {
+            setUserChats((prev) => prev?.filter(c => c._id !== chatId));
+
+            setCurrentChat((prev) => prev?._id === chatId ? null : prev);
+        };
+
+        socket.on("chatUpdated", onChatUpdated);
+
+        socket.on("chatRemoved", onChatRemoved);
+
+        return () => {
+            socket.off("chatUpdated", onChatUpdated);
+
+            socket.off("chatRemoved", onChatRemoved);
+        };
+    }, [socket]);
 
     // Receive A Message And Notification
     useEffect(() => {
@@ -237,8 +599,13 @@ export const ChatContextProvider = ({ children, user }: Props) => {
                     setMessages((prev: Message[]) => [...prev, message]);
                 }
 
+                // The Chat Is Open, So The Message Is Read.
+                socket?.emit("readUpTo", { chatId: message.chat._id, messageId: message._id });
+
                 // console.log("The New Messages: ", messages);
             } else {
+                socket?.emit("messageDelivered", { messageIds: [message._id] });
+
                 // console.log("------------------------------------");
                 // console.log("The Current Chat is: ", currentChat);
                 // console.log("The T2 Chat ID is: ", t2?._id);
@@ -257,44 +624,24 @@ export const ChatContextProvider = ({ children, user }: Props) => {
 
             const t2 = t1 ? JSON.parse(t1) : null;
 
-            const isChatOpen = t2?.members.some((user: User) => user._id === notification.senderId);
+            const isChatOpen = t2?._id === notification.chatId;
 
-            // console.log("The User ID is: ", user._id);
-            // console.log("The Notification Sender ID: ", notification.senderId);
-
-            // console.log("The Length of Members Are: ", t2?.members.length);
-
-            // t2?.members.forEach((user: User) => {
-            //     console.log("---------------------------------------");
-            //     console.log("The User From Members is: ", user._id);
-            //     console.log("---------------------------------------");
-            // });
+            setUserNotifications((prev) => [notification, ...prev.filter(n => n._id !== notification._id)]);
 
             if (isChatOpen) {
-                setUserNotifications((prev) => [{ ...notification, isRead: true }, ...prev]);
-
-                // console.log("--------------------------------------------");
-                // console.log("The Notifications Are: ", notifications);
-                // console.log("--------------------------------------------");
+                // The User Sees The Message, So It Is Read On The Server Too.
+                markChatNotificationsAsRead(notification.chatId);
             } else {
-                // console.log("============================================");
-                // console.log("The Chat is Not Open");
-                // console.log("============================================");
-
-                setUserNotifications((prev) => [notification, ...prev]);
+                setUnreadCounts((prev) => ({ ...prev, [notification.chatId]: (prev[notification.chatId] ?? 0) + 1 }));
             }
         });
 
-        // return () => {
-        //     // console.log("Disconnecting From Server...");
-
-        //     // if (socket?.connected) {
-
-        //     //     socket?.off("getMessage")
+        // Remove The Handlers Before They Are Registered Again (When currentChat Changes), Else Every Message Is Handled Many Times.
+        return () => {
+            socket?.off("getMessage");
 
-        //     //     localStorage.setItem("currentChat", "");
-        //     // }
-        // };
+            socket?.off("getNotification");
+        };
     }, [currentChat, socket]);
 
     useEffect(() => {
@@ -312,9 +659,10 @@ export const ChatContextProvider = ({ children, user }: Props) => {
 
                 let isChatCreated = false;
 
+                // Being In A Group With The User Is Not A Direct Chat With Them.
                 if (userChats) {
                     isChatCreated = userChats?.some((chat) => {
-                        return chat.members[0]._id === elem._id || chat.members[1]._id === elem._id;
+                        return !chat.isGroup && chat.members.some(member => member._id === elem._id);
                     })
                 }
 
@@ -374,11 +722,15 @@ export const ChatContextProvider = ({ children, user }: Props) => {
                     // console.log("The Response Data is: ", response.data);
                     // console.log("-------------------------------------");
 
+                    setHasMoreMessages(response.data.hasMore ?? false);
+
                     if (response.data.messages === undefined) {
                         console.log("We Initialize with empty array");
                         setMessages([]);
                     } else {
                         setMessages(response.data.messages);
+
+                        readChatUpTo(currentChat._id, response.data.messages);
                     }
                     setIsMsgLoading(false);
                     setMsgMsgError("");
@@ -397,6 +749,91 @@ export const ChatContextProvider = ({ children, user }: Props) => {
         });
     }, [currentChat]);
 
+    // Infinite Scroll-Up: Loads The Page Before The Oldest Loaded Message.
+    const loadOlderMessages = useCallback(async () => {
+        if (!currentChat || !hasMoreMessages || isOlderMsgLoading || messages.length == 0) return;
+
+        const chatId = currentChat._id;
+
+        try {
+            setIsOlderMsgLoading(true);
+
+            const response = await getRequest(
+                `${BASE_URL}/messages/get-chat-messages-by-chat-id/${chatId}?before=${messages[0]._id}`);
+
+            // The User Has Opened Another Chat Meanwhile.
+            if (JSON.parse(localStorage.getItem("currentChat") ?? "null")?._id !== chatId) return;
+
+            const older: Message[] = response.data.messages ?? [];
+
+            setMessages((prev: Message[]) => [...older.filter(m => !prev.some(p => p._id === m._id)), ...prev]);
+
+            setHasMoreMessages(response.data.hasMore ?? false);
+        } catch (ex) {
+            setMsgMsgError(errorMessage(ex));
+        } finally {
+            setIsOlderMsgLoading(false);
+        }
+    }, [currentChat, hasMoreMessages, isOlderMsgLoading, messages]);
+
+    const replaceMessage = useCallback((message: Message) => {
+        setMessages((prev: Message[]) => prev?.map(m => m._id === message._id ? { ...m, ...message } : m));
+    }, []);
+
+    // Edited, Deleted For Everyone OR Reacted, By Us OR By Another Member.
+    useEffect(() => {
+        if (!socket) return;
+
+        const onMessageDeleted = ({ messageId }: { messageId: string }) => {
+            setMessages((prev: Message[]) => prev?.filter(m => m._id !== messageId));
+        };
+
+        socket.on("messageUpdated", replaceMessage);
+
+        socket.on("messageDeleted", onMessageDeleted);
+
+        return () => {
+            socket.off("messageUpdated", replaceMessage);
+
+            socket.off("messageDeleted", onMessageDeleted);
+        };
+    }, [socket]);
+
+    const editMessage = useCallback(async (messageId: string, text: string) => {
+        try {
+            const response = await putRequest(`${BASE_URL}/messages/edit-message/${messageId}`, { text });
+
+            replaceMessage(response.data.message);
+        } catch (ex) {
+            setSendTxtMsgError(errorMessage(ex));
+        }
+    }, [user]);
+
+    const deleteMessage = useCallback(async (messageId: string, forEveryone: boolean) => {
+        try {
+            const response = await postRequest(`${BASE_URL}/messages/delete-message/${messageId}`,
+                { forEveryone });
+
+            if (forEveryone) {
+                replaceMessage(response.data.message);
+            } else {
+                setMessages((prev: Message[]) => prev?.filter(m => m._id !== messageId));
+            }
+        } catch (ex) {
+            setSendTxtMsgError(errorMessage(ex));
+        }
+    }, [user]);
+
+    const reactToMessage = useCallback(async (messageId: string, emoji: string) => {
+        try {
+            const response = await postRequest(`${BASE_URL}/messages/react-to-message/${messageId}`, { emoji });
+
+            replaceMessage(response.data.message);
+        } catch (ex) {
+            setSendTxtMsgError(errorMessage(ex));
+        }
+    }, [user]);
+
     const createChat = useCallback(async (firstId: string, secId: string) => {
         setIsMsgLoading(true);
 
@@ -492,81 +929,34 @@ export const ChatContextProvider = ({ children, user }: Props) => {
     //     console.log("The New Messages is: ", messages);
     // }, [messages]);
 
-    const markAllNotificationsAsRead = useCallback((userNotifications: UserNotification[]) => {
-        const mNotifications = userNotifications.map(n => ({ ...n, isRead: true }));
-
-        setUserNotifications(mNotifications);
-    }, []);
-
-    const markNotificationAsRead = useCallback((
-        n: UserNotification,
-        userChats: Array<ChatType>,
-        user: User,
-        notifications: UserNotification[]) => {
-        // Find A Chat To Open.
-        const desiredChat = userChats.find(chat => {
-            const chatMembers = [user._id, n.senderId];
+    const markAllNotificationsAsRead = useCallback(() => {
+        if (!user?._id) return;
 
-            // console.log("The Chat Members Are: ", chatMembers);
-
-            const isDesiredChat = chat?.members.every((member) => {
-                const id1 = member._id;
-                // const id2 = member[1]._id;
-
-                // const t1 = [id1, id2];
-                // console.log("The Data Of Chats Are: ", id1, " And The Member is: ", member);
-
-                return chatMembers.includes(id1);
-            });
-
-            return isDesiredChat;
+        patchRequest(`${BASE_URL}/notifications/mark-all-as-read/${user._id}`).then(() => {
+            applyNotificationsRead({ all: true, readAt: new Date().toISOString() });
+        }).catch((ex) => {
+            console.log("The Error of Marking All Notifications As Read is: ", ex.message);
         });
+    }, [user]);
 
-        const mNotifications = notifications.map(el => {
-            if (el.senderId === n.senderId) {
-                return { ...el, isRead: true };
-            }
+    // Opens The Chat Of The Notification, Opening A Chat Reads All Its Notifications.
+    const markNotificationAsRead = useCallback((n: UserNotification) => {
+        const desiredChat = userChats.find(chat => chat._id === n.chatId);
 
-            return el;
-        });
+        markChatNotificationsAsRead(n.chatId);
 
-        if (desiredChat?._id === currentChat?._id) {
-            console.log("---------------------------------------------------");
-            console.log("Current Chat is Loaded");
-            console.log("---------------------------------------------------");
+        if (!desiredChat) {
+            console.log("======================================");
+            console.log("No Desired Chat Found!!!");
+            console.log("======================================");
 
             return;
         }
 
-        if (desiredChat) {
+        if (desiredChat._id !== currentChat?._id) {
             updateCurrentChat(desiredChat);
-        } else {
-            console.log("======================================");
-            console.log("No Desired Chat Found!!!");
-            console.log("======================================");
         }
-
-        setUserNotifications(mNotifications);
-    }, []);
-
-    const markThisUserNotificationsAsRead = useCallback(
-        (thisUserNotifications: UserNotification[], notifications: UserNotification[]) => {
-            let mNotifications = notifications.map((el: UserNotification) => {
-                let notification: UserNotification = { senderId: '', isRead: false, date: new Date() };
-
-                thisUserNotifications.forEach(n => {
-                    if (el.senderId === n.senderId) {
-                        notification = { ...n, isRead: true };
-                    } else {
-                        notification = el;
-                    }
-                });
-
-                return notification;
-            });
-
-            setUserNotifications(mNotifications);
-        }, []);
+    }, [userChats, currentChat, updateCurrentChat, markChatNotificationsAsRead]);
 
     return <ChatContext.Provider value={{
         userChats,
@@ -588,12 +978,20 @@ export const ChatContextProvider = ({ children, user }: Props) => {
 
         setMessages,
 
+        hasMoreMessages,
+        isOlderMsgLoading,
+        loadOlderMessages,
+
+        editMessage,
+        deleteMessage,
+        reactToMessage,
+
         sendTxtMsgError,
         setSendTxtMsgError,
 
-        newMessage,
+        sendTextMessage,
 
-        setNewMessage,
+        sendAttachments,
 
         onlineUsers,
 
@@ -601,13 +999,19 @@ export const ChatContextProvider = ({ children, user }: Props) => {
 
         userNotifications,
 
+        unreadCounts,
+
         allUsers,
 
         markAllNotificationsAsRead,
 
         markNotificationAsRead,
 
-        markThisUserNotificationsAsRead,
+        markChatNotificationsAsRead,
+
+        typingUsers,
+
+        notifyTyping,
     }}>
         {children}
     </ChatContext.Provider>
@@ -8,10 +8,13 @@ import ChatBox from "../components/chat/ChatBox";
 
 const Chat = () => {
 
+    // The Page Is Always Rendered Inside ChatContextProvider, See App.tsx.
     const { userChats, isLoading, user,
         updateCurrentChat, currentChat, messages,
         isMsgLoading, msgMsgError, setMessages, sendTxtMsgError, setSendTxtMsgError,
-        setNewMessage, onlineUsers, userNotifications, markThisUserNotificationsAsRead } = useContext(ChatContext);
+        sendTextMessage, sendAttachments, onlineUsers, unreadCounts, markChatNotificationsAsRead,
+        typingUsers, notifyTyping, hasMoreMessages, isOlderMsgLoading, loadOlderMessages,
+        editMessage, deleteMessage, reactToMessage } = useContext(ChatContext)!;
 
     // console.log("The User Chats is: ", userChats);
     // console.log("The User Chats Length is: ", userChats?.length);
@@ -38,8 +41,8 @@ const Chat = () => {
                                             chat={elem}
                                             user={user}
                                             onlineUsers={onlineUsers}
-                                            userNotifications={userNotifications}
-                                            markThisUserNotificationsAsRead={markThisUserNotificationsAsRead} />
+                                            unreadCount={unreadCounts[elem._id] ?? 0}
+                                            markChatNotificationsAsRead={markChatNotificationsAsRead} />
                                     </div>
                                 )
                             }
@@ -53,7 +56,16 @@ const Chat = () => {
                             setMessages={setMessages}
                             sendTxtMsgError={sendTxtMsgError}
                             setSendTxtMsgError={setSendTxtMsgError}
-                            setNewMessage={setNewMessage}
+                            sendTextMessage={sendTextMessage}
+                            sendAttachments={sendAttachments}
+                            typingUsers={currentChat ? typingUsers[currentChat._id] ?? [] : []}
+                            notifyTyping={notifyTyping}
+                            hasMoreMessages={hasMoreMessages}
+                            isOlderMsgLoading={isOlderMsgLoading}
+                            loadOlderMessages={loadOlderMessages}
+                            editMessage={editMessage}
+                            deleteMessage={deleteMessage}
+                            reactToMessage={reactToMessage}
                         />
                     </Stack> : null
             }
@@ -0,0 +1,19 @@
+import { ChatType, User } from "../context/ChatContext";
+
+// The Other Members Of The Chat, For A Direct Chat It Is Only The Recipient.
+export const otherMembers = (chat: ChatType, user: User) => {
+    return chat?.members.filter((member) => member._id !== user?._id) ?? [];
+};
+
+// A Group Shows Its Name, A Direct Chat Shows The Recipient.
+export const chatTitle = (chat: ChatType, user: User) => {
+    if (chat?.isGroup) {
+        return chat.name ?? "";
+    }
+
+    return otherMembers(chat, user)[0]?.email ?? "";
+};
+
+export const isChatAdmin = (chat: ChatType, userId: string) => {
+    return chat?.admins?.includes(userId) ?? false;
+};
@@ -2,11 +2,22 @@ import axios from "axios";
 
 export const BASE_URL = "http://localhost:5000/api";
 
+// The Socket.IO Server Runs On The Same Server As The REST API.
+export const SOCKET_URL = "http://localhost:5000";
+
+// Every Route Of The API (Except Login/Register) Needs The Token Of The Logged In User.
+const authHeaders = (): Record<string, string> => {
+    const token = localStorage.getItem("Token");
+
+    return token ? { "Authorization": `Bearer ${token}` } : {};
+}
+
 export const postRequest = (url: string, body: Object) => {
     return axios.post(url, body, {
         headers: {
             "Content-Type": "application/json",
-            "Accept": "application/json"
+            "Accept": "application/json",
+            ...authHeaders()
         }
     });
 }
@@ -15,7 +26,59 @@ export const getRequest = (url: string) => {
     return axios.get(url, {
         headers: {
             "Content-Type": "application/json",
-            "Accept": "application/json"
+            "Accept": "application/json",
+            ...authHeaders()
+        }
+    });
+}
+
+export const patchRequest = (url: string, body: object = {}) => {
+    return axios.patch(url, body, {
+        headers: {
+            "Content-Type": "application/json",
+            "Accept": "application/json",
+            ...authHeaders()
+        }
+    });
+}
+
+export const putRequest = (url: string, body: object) => {
+    return axios.put(url, body, {
+        headers: {
+            "Content-Type": "application/json",
+            "Accept": "application/json",
+            ...authHeaders()
         }
     });
-}
\ No newline at end of file
+}
+
+// The Message Of A Failed Request: The "msg" Of Our API When It Answered, Else The Error Itself.
+export const errorMessage = (ex: unknown): string => {
+    if (axios.isAxiosError(ex)) {
+        return ex.response?.data?.msg ?? ex.message;
+    }
+
+    return ex instanceof Error ? ex.message : String(ex);
+}
+
+// For The Uploads, axios Sets The multipart Boundary Itself.
+export const postFormRequest = (url: string, body: FormData) => {
+    return axios.post(url, body, {
+        headers: {
+            "Accept": "application/json",
+            ...authHeaders()
+        }
+    });
+}
+
+// The Attachments Need The Authorization Header Too, So They Are Fetched As Blobs Instead Of Linked Directly.
+// The Caller Must Release The Returned Object URL With URL.revokeObjectURL.
+export const fetchAttachment = async (messageId: string, key: string, thumbnail = false) => {
+    const response = await axios.get(`${BASE_URL}/messages/get-attachment/${messageId}/${key}`, {
+        params: thumbnail ? { size: "thumbnail" } : {},
+        responseType: "blob",
+        headers: authHeaders()
+    });
+
+    return URL.createObjectURL(response.data);
+}
@@ -1,11 +1,60 @@
 const { Chat } = require("../models/chatModel");
 const { User } = require("../models/userModel");
+const { Notification } = require("../models/notificationModel");
+
+const { emitToUser } = require("../socket");
+
+const MAX_GROUP_MEMBERS = 100;
+
+/**
+ * * Loads The Chat With Its Members Without Their Passwords, The Admins Stay As Ids.
+ */
+function findPopulatedChat(chatId) {
+    return Chat.findById(chatId).populate({
+        path: "members",
+        select: "-password"
+    });
+}
+
+/**
+ * * Tells Every Member (On All Their Sockets) That The Group Has Changed.
+ */
+function emitChatUpdated(chat) {
+    chat.members.forEach((member) => {
+        emitToUser(member._id ?? member, "chatUpdated", chat);
+    });
+}
 
 class ChatController {
+    constructor() {
+        // * The Routes Pass The Methods Without The Instance, And They Use this.findGroupForAdmin.
+        this.updateGroup = this.updateGroup.bind(this);
+        this.addGroupMembers = this.addGroupMembers.bind(this);
+        this.removeGroupMember = this.removeGroupMember.bind(this);
+        this.setGroupAdmin = this.setGroupAdmin.bind(this);
+    }
+
+    /**
+     * * Returns { chat } When The Group Exists And userId Is One Of Its Admins, OR { error: { status, msg } }.
+     */
+    async findGroupForAdmin(chatId, userId) {
+        const chat = await Chat.findById(chatId);
+
+        if (chat == null || !chat.isGroup) {
+            return { error: { status: 404, msg: "لم يتم العثور على المجموعة" } };
+        }
+
+        if (!chat.isAdmin(userId)) {
+            return { error: { status: 403, msg: "هذا الإجراء متاح لمشرفي المجموعة فقط" } };
+        }
+
+        return { chat };
+    }
+
     async createChat(req, res) {
         const { firstId, secId } = req.body;
 
-        const t1 = await Chat.findOne({ members: { $all: [firstId, secId] } })
+        const t1 = await Chat.findOne({ members: { $all: [firstId, secId] }, isGroup: { $ne: true } })
             .populate({
                 path: "members",
                 select: "-password"
@@ -35,7 +84,7 @@ class ChatController {
 
         await chat.save();
 
-        const t4 = await Chat.findOne({ members: { $all: [firstId, secId] } })
+        const t4 = await Chat.findById(chat._id)
             .populate({
                 path: "members",
                 select: "-password"
@@ -48,11 +97,308 @@ class ChatController {
         })
     }
 
-    async getChatById(req, res) {
-        let chat = await Chat.findById(req.params.chatId).populate({
-            path: "members",
-            select: "-password"
+    /**
+     * * The Creator Is The First Admin Of The Group, memberIds Are The Other Members.
+     */
+    async createGroup(req, res) {
+        const { name, avatar } = req.body;
+
+        const userId = String(req.user._id);
+
+        const memberIds = [...new Set([userId, ...(req.body.memberIds ?? [])].map(String))];
+
+        if (memberIds.length < 2 || memberIds.length > MAX_GROUP_MEMBERS) {
+            return res.status(400).json({
+                status: false,
+                msg: `يجب أن يكون عدد الأعضاء بين 2 و ${MAX_GROUP_MEMBERS}`,
+            });
+        }
+
+        const count = await User.countDocuments({ _id: { $in: memberIds } });
+
+        if (count != memberIds.length) {
+            return res.status(400).json({
+                status: false,
+                msg: "يرجى التحقق من البيانات"
+            });
+        }
+
+        const chat = new Chat({
+            isGroup: true,
+            name,
+            avatar,
+            members: memberIds,
+            admins: [userId],
+            createdBy: userId,
+        });
+
+        const error = chat.validateSync();
+
+        if (error) {
+            return res.status(400).json({
+                status: false,
+                msg: error.message,
+            });
+        }
+
+        await chat.save();
+
+        const t1 = await findPopulatedChat(chat._id);
+
+        emitChatUpdated(t1);
+
+        return res.status(201).json({
+            status: true,
+            msg: "تم إنشاء المجموعة بنجاح",
+            chat: t1,
+        });
+    }
+
+    async updateGroup(req, res) {
+        const { name, avatar } = req.body;
+
+        const result = await this.findGroupForAdmin(req.params.chatId, req.user._id);
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                status: false,
+                msg: result.error.msg,
+            });
+        }
+
+        const chat = result.chat;
+
+        if (name !== undefined) chat.name = name;
+
+        if (avatar !== undefined) chat.avatar = avatar;
+
+        const error = chat.validateSync();
+
+        if (error) {
+            return res.status(400).json({
+                status: false,
+                msg: error.message,
+            });
+        }
+
+        await chat.save();
+
+        const t1 = await findPopulatedChat(chat._id);
+
+        emitChatUpdated(t1);
+
+        return res.status(200).json({
+            status: true,
+            msg: "تم تعديل المجموعة بنجاح",
+            chat: t1,
+        });
+    }
+
+    async addGroupMembers(req, res) {
+        const { memberIds } = req.body;
+
+        const result = await this.findGroupForAdmin(req.params.chatId, req.user._id);
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                status: false,
+                msg: result.error.msg,
+            });
+        }
+
+        const chat = result.chat;
+
+        const newIds = [...new Set((memberIds ?? []).map(String))].filter(id => !chat.isMember(id));
+
+        if (newIds.length == 0) {
+            return res.status(400).json({
+                status: false,
+                msg: "لا يوجد أعضاء جدد للإضافة",
+            });
+        }
+
+        if (chat.members.length + newIds.length > MAX_GROUP_MEMBERS) {
+            return res.status(400).json({
+                status: false,
+                msg: `لا يمكن أن يتجاوز عدد الأعضاء ${MAX_GROUP_MEMBERS}`,
+            });
+        }
+
+        const count = await User.countDocuments({ _id: { $in: newIds } });
+
+        if (count != newIds.length) {
+            return res.status(400).json({
+                status: false,
+                msg: "يرجى التحقق من البيانات"
+            });
+        }
+
+        await Chat.updateOne({ _id: chat._id }, { $addToSet: { members: { $each: newIds } } });
+
+        const t1 = await findPopulatedChat(chat._id);
+
+        emitChatUpdated(t1);
+
+        return res.status(200).json({
+            status: true,
+            msg: "تمت إضافة الأعضاء بنجاح",
+            chat: t1,
         });
+    }
+
+    async removeGroupMember(req, res) {
+        const { memberId } = req.body;
+
+        const userId = req.user._id;
+
+        const result = await this.findGroupForAdmin(req.params.chatId, req.user._id);
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                status: false,
+                msg: result.error.msg,
+            });
+        }
+
+        const chat = result.chat;
+
+        if (!chat.isMember(memberId)) {
+            return res.status(404).json({
+                status: false,
+                msg: "هذا المستخدم ليس عضوا في المجموعة",
+            });
+        }
+
+        if (String(memberId) === String(userId)) {
+            return res.status(400).json({
+                status: false,
+                msg: "استخدم مغادرة المجموعة بدلا من ذلك",
+            });
+        }
+
+        await Chat.updateOne({ _id: chat._id }, { $pull: { members: memberId, admins: memberId } });
+
+        const t1 = await findPopulatedChat(chat._id);
+
+        emitToUser(memberId, "chatRemoved", { chatId: chat._id });
+
+        emitChatUpdated(t1);
+
+        return res.status(200).json({
+            status: true,
+            msg: "تمت إزالة العضو بنجاح",
+            chat: t1,
+        });
+    }
+
+    /**
+     * * isAdmin: true Promotes The Member, false Demotes Them, A Group Always Keeps One Admin At Least.
+     */
+    async setGroupAdmin(req, res) {
+        const { memberId, isAdmin } = req.body;
+
+        const result = await this.findGroupForAdmin(req.params.chatId, req.user._id);
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                status: false,
+                msg: result.error.msg,
+            });
+        }
+
+        const chat = result.chat;
+
+        if (!chat.isMember(memberId)) {
+            return res.status(404).json({
+                status: false,
+                msg: "هذا المستخدم ليس عضوا في المجموعة",
+            });
+        }
+
+        if (isAdmin) {
+            await Chat.updateOne({ _id: chat._id }, { $addToSet: { admins: memberId } });
+        } else {
+            // * The Filter Keeps The Last Admin, Even If Two Admins Demote Each Other At The Same Time.
+            const t1 = await Chat.updateOne(
+                { _id: chat._id, "admins.1": { $exists: true } },
+                { $pull: { admins: memberId } }
+            );
+
+            if (t1.matchedCount == 0) {
+                return res.status(400).json({
+                    status: false,
+                    msg: "يجب أن يبقى مشرف واحد على الأقل في المجموعة",
+                });
+            }
+        }
+
+        const t2 = await findPopulatedChat(chat._id);
+
+        emitChatUpdated(t2);
+
+        return res.status(200).json({
+            status: true,
+            msg: "تم تعديل صلاحيات العضو بنجاح",
+            chat: t2,
+        });
+    }
+
+    /**
+     * * When The Last Admin Leaves, The Oldest Member Becomes Admin,
+     * * And When The Last Member Leaves, The Group Is Deleted.
+     */
+    async leaveGroup(req, res) {
+        const userId = req.user._id;
+
+        const chat = await Chat.findById(req.params.chatId);
+
+        if (chat == null || !chat.isGroup) {
+            return res.status(404).json({
+                status: false,
+                msg: "لم يتم العثور على المجموعة",
+            });
+        }
+
+        if (!chat.isMember(userId)) {
+            return res.status(403).json({
+                status: false,
+                msg: "لست عضوا في هذه المجموعة",
+            });
+        }
+
+        const t1 = await Chat.findByIdAndUpdate(chat._id,
+            { $pull: { members: userId, admins: userId } },
+            { new: true });
+
+        emitToUser(userId, "chatRemoved", { chatId: chat._id });
+
+        if (t1.members.length == 0) {
+            await Chat.findByIdAndDelete(chat._id);
+
+            await Notification.deleteMany({ chat: chat._id });
+
+            return res.status(200).json({
+                status: true,
+                msg: "تمت مغادرة المجموعة وحذفها",
+            });
+        }
+
+        if (t1.admins.length == 0) {
+            await Chat.updateOne({ _id: chat._id, admins: { $size: 0 } }, { $addToSet: { admins: t1.members[0] } });
+        }
+
+        const t2 = await findPopulatedChat(chat._id);
+
+        emitChatUpdated(t2);
+
+        return res.status(200).json({
+            status: true,
+            msg: "تمت مغادرة المجموعة بنجاح",
+        });
+    }
+
+    async getChatById(req, res) {
+        let chat = await findPopulatedChat(req.params.chatId);
 
         if (chat == null) {
             return res.status(404).json({
@@ -90,14 +436,22 @@ class ChatController {
     async getUserChats(req, res) {
         const userId = req.params.userId;
 
-        const chats = await Chat.find({ members: { $in: [userId] } }).populate("members");
+        const chats = await Chat.find({ members: { $in: [userId] } }).populate({
+            path: "members",
+            select: "-password"
+        });
 
         if (chats.length == 0) {
             return res.status(204).json({});
         }
 
+        const unreadCounts = await Notification.unreadCountsByChat(userId);
+
         return res.status(200).json({
-            chats,
+            chats: chats.map(chat => ({
+                ...chat.toJSON(),
+                unreadCount: unreadCounts[String(chat._id)] ?? 0,
+            })),
             msg: "تم جلب الرسائل بنجاح"
         })
     }
@@ -105,7 +459,7 @@ class ChatController {
     async getChatForSpecificUsers(req, res) {
         const { firstId, secId } = req.params;
 
-        const chat = await Chat.findOne({ members: { $all: [firstId, secId] } })
+        const chat = await Chat.findOne({ members: { $all: [firstId, secId] }, isGroup: { $ne: true } })
             .populate({
                 path: "members",
                 select: "-password"
@@ -118,11 +472,23 @@ class ChatController {
         return res.status(200).json({chat});
     }
 
+    /**
+     * * req.chat Is Set By middlewares/chatMember.js, Any Member Can Delete A Direct Chat, But Only The Admins A Group.
+     */
     async deleteChatById(req, res) {
         const chatId = req.params.chatId;
 
+        if (req.chat.isGroup && !req.chat.isAdmin(req.user._id)) {
+            return res.status(403).json({
+                status: false,
+                msg: "هذا الإجراء متاح لمشرفي المجموعة فقط",
+            });
+        }
+
         const result = await Chat.findByIdAndDelete(chatId);
 
+        await Notification.deleteMany({ chat: chatId });
+
         // console.log("The Result of Deleting is: ", result);
 
         return res.status(204).json({});
@@ -2,25 +2,64 @@ const mongoose = require("mongoose");
 const { Chat } = require("../models/chatModel");
 const { User } = require("../models/userModel");
 const { Message } = require("../models/messageModel");
+const { Notification } = require("../models/notificationModel");
+
+const { deliverMessage, emitToUser } = require("../socket");
+
+const notificationController = require("./notificationController");
+
+const { storage, isValidKey } = require("../storage");
+const { saveAttachments, removeAttachments, isImage } = require("../storage/attachments");
+
+const MAX_EDITS = 20;
+
+const DEFAULT_PAGE_SIZE = 30;
+
+const MAX_PAGE_SIZE = 100;
 
 class MessageController {
-    async createMessage(req, res) {
-        const { chatId, senderId, text } = req.body;
+    constructor() {
+        // * The Routes Pass The Methods Without The Instance, And They Use this.saveMessage, this.findPage...
+        this.createMessage = this.createMessage.bind(this);
+        this.markChatAsRead = this.markChatAsRead.bind(this);
+        this.getAllMessages = this.getAllMessages.bind(this);
+        this.getMessagesByChatId = this.getMessagesByChatId.bind(this);
+        this.searchChatMessages = this.searchChatMessages.bind(this);
+        this.editMessage = this.editMessage.bind(this);
+        this.deleteMessage = this.deleteMessage.bind(this);
+        this.reactToMessage = this.reactToMessage.bind(this);
+        this.createMessageWithAttachments = this.createMessageWithAttachments.bind(this);
+    }
+
+    /**
+     * * Validates And Stores A Message, Shared By The REST Route And The Socket "addMessage" Event.
+     * * Also Stores A Notification For Every Other Member, Online Or Not.
+     * * attachments Are Already Stored (See storage/attachments.js), With Them The Text Can Be Empty.
+     * * Returns { message, notifications } With sender And chat Populated, OR { error: { status, msg } }.
+     */
+    async saveMessage({ chatId, senderId, text = "", attachments = [] }) {
+        if (!mongoose.isValidObjectId(chatId) || !mongoose.isValidObjectId(senderId)) {
+            return { error: { status: 400, msg: "يرجى التحقق من المعلومات" } };
+        }
+
+        if (typeof text !== "string" || (text.trim().length == 0 && attachments.length == 0)) {
+            return { error: { status: 400, msg: "يجب إدخال نص الرسالة أو إرفاق ملف" } };
+        }
 
         const t1 = await Chat.findById(chatId);
 
         if (t1 == null) {
-            return res.status(400).json({
-                msg: "يجب إنشاء محادثة أولا"
-            });
+            return { error: { status: 400, msg: "يجب إنشاء محادثة أولا" } };
         }
 
         const t2 = await User.findById(senderId);
 
         if (t2 == null) {
-            return res.status(400).json({
-                msg: "لا حساب للمستخدم"
-            });
+            return { error: { status: 400, msg: "لا حساب للمستخدم" } };
+        }
+
+        if (!t1.members.some(member => member.equals(t2._id))) {
+            return { error: { status: 403, msg: "لست عضوا في هذه المحادثة" } };
         }
 
         const message = new Message();
@@ -30,6 +69,12 @@ class MessageController {
 
         message.text = text;
 
+        message.attachments = attachments;
+
+        message.receipts = t1.members
+            .filter(member => !member.equals(t2._id))
+            .map(member => ({ user: member }));
+
         await message.save();
 
         const t3 = await Message.findById(message._id).populate([{
@@ -37,47 +82,537 @@ class MessageController {
             select: "-password",
         }, "chat"]);
 
+        const notifications = await Notification.insertMany(t1.members
+            .filter(member => !member.equals(t2._id))
+            .map(member => ({
+                user: member,
+                chat: chatId,
+                message: message._id,
+                sender: senderId,
+            })));
+
+        return { message: t3, notifications };
+    }
+
+    /**
+     * * Sets deliveredAt OR readAt (field) Of The Receipts Of userId In The Messages Matching The Filter,
+     * * Then Tells Every Sender Which Of Their Messages Changed ("messagesDelivered" OR "messagesRead").
+     * * A Read Message Is Also Delivered. Returns The Number Of The Changed Messages.
+     */
+    async updateReceipts(userId, filter, field) {
+        const user = new mongoose.Types.ObjectId(String(userId));
+
+        const at = new Date();
+
+        const messages = await Message.find({
+            ...filter,
+            receipts: { $elemMatch: { user, [field]: null } },
+        }).select("_id chat sender");
+
+        if (messages.length == 0) {
+            return 0;
+        }
+
+        const $set = { [`receipts.$[r].${field}`]: at };
+
+        const arrayFilters = [{ "r.user": user, [`r.${field}`]: null }];
+
+        if (field === "readAt") {
+            $set["receipts.$[d].deliveredAt"] = at;
+
+            arrayFilters.push({ "d.user": user, "d.deliveredAt": null });
+        }
+
+        await Message.updateMany({ _id: { $in: messages.map(m => m._id) } }, { $set }, { arrayFilters });
+
+        const groups = new Map();
+
+        messages.forEach((m) => {
+            const key = `${m.chat}:${m.sender}`;
+
+            if (!groups.has(key)) {
+                groups.set(key, { chatId: m.chat, senderId: m.sender, messageIds: [] });
+            }
+
+            groups.get(key).messageIds.push(m._id);
+        });
+
+        const event = field === "readAt" ? "messagesRead" : "messagesDelivered";
+
+        groups.forEach(({ chatId, senderId, messageIds }) => {
+            emitToUser(senderId, event, { chatId, userId: String(userId), messageIds, [field]: at });
+        });
+
+        return messages.length;
+    }
+
+    /**
+     * * Without messageIds, Every Message Waiting For The User Is Delivered (When One Of Their Sockets Connects).
+     */
+    markDelivered(userId, messageIds) {
+        const filter = messageIds ? { _id: { $in: messageIds } } : {};
+
+        return this.updateReceipts(userId, filter, "deliveredAt");
+    }
+
+    /**
+     * * Reads The Messages Of The Chat Up To (And Including) upToId, OR All Of Them Without It.
+     * * Their Notifications Are Read Too, So The Unread Counts Agree With The Receipts After A Reload.
+     */
+    async markReadUpTo(chatId, userId, upToId) {
+        const filter = { chat: chatId };
+
+        if (upToId) {
+            filter._id = { $lte: upToId };
+        }
+
+        const count = await this.updateReceipts(userId, filter, "readAt");
+
+        await notificationController.markAsReadBy(userId,
+            { chat: chatId, ...(upToId ? { message: { $lte: upToId } } : {}) },
+            { chatId: String(chatId) });
+
+        return count;
+    }
+
+    async markChatAsRead(req, res) {
+        const { chatId } = req.params;
+
+        const userId = req.user._id;
+
+        const { messageId } = req.body ?? {};
+
+        if (messageId !== undefined && !mongoose.isValidObjectId(messageId)) {
+            return res.status(400).json({
+                msg: "يرجى التحقق من المعلومات",
+            });
+        }
+
+        const count = await this.markReadUpTo(chatId, userId, messageId);
+
+        return res.status(200).json({
+            msg: "تم تحديد الرسائل كمقروءة",
+            count,
+        });
+    }
+
+    async createMessage(req, res) {
+        const { chatId, text } = req.body;
+
+        const result = await this.saveMessage({ chatId, senderId: req.user._id, text });
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                msg: result.error.msg,
+            });
+        }
+
+        deliverMessage(result.message, result.notifications);
+
+        return res.status(201).json({
+            "msg": "تم إنشاء الرسالة بنجاح",
+            message: result.message,
+        });
+    }
+
+    /**
+     * * The Multipart Version Of createMessage: chatId And An Optional text,
+     * * With The Files In "files" (See middlewares/uploadAttachments.js).
+     */
+    async createMessageWithAttachments(req, res) {
+        const { chatId, text } = req.body;
+
+        const files = req.files ?? [];
+
+        if (files.length == 0) {
+            return res.status(400).json({
+                msg: "يجب إرفاق ملف واحد على الأقل",
+            });
+        }
+
+        const t1 = await saveAttachments(files);
+
+        if (t1.error) {
+            return res.status(t1.error.status).json({
+                msg: t1.error.msg,
+            });
+        }
+
+        let result;
+
+        try {
+            result = await this.saveMessage({ chatId, senderId: req.user._id, text, attachments: t1.attachments });
+        } catch (ex) {
+            await removeAttachments(t1.attachments);
+
+            throw ex;
+        }
+
+        if (result.error) {
+            await removeAttachments(t1.attachments);
+
+            return res.status(result.error.status).json({
+                msg: result.error.msg,
+            });
+        }
+
+        deliverMessage(result.message, result.notifications);
+
         return res.status(201).json({
             "msg": "تم إنشاء الرسالة بنجاح",
-            message: t3,
+            message: result.message,
         });
     }
 
+    /**
+     * * Sends The File Of An Attachment, ?size=thumbnail Sends The Thumbnail Of An Image.
+     * * Only The Images Are Shown In The Browser, The Other Files Are Always Downloaded.
+     * * Only The Members Of The Chat Of The Message Can Get Its Files.
+     */
+    async getAttachment(req, res) {
+        const { messageId, key } = req.params;
+
+        if (!mongoose.isValidObjectId(messageId) || !isValidKey(key)) {
+            return res.status(400).json({
+                msg: "يرجى التحقق من المعلومات",
+            });
+        }
+
+        const message = await Message.findById(messageId).select("chat attachments isDeleted");
+
+        const attachment = message?.attachments.find(a => a.key === key);
+
+        if (attachment == null || message.isDeleted) {
+            return res.status(404).json({
+                msg: "لم يتم العثور على الملف",
+            });
+        }
+
+        const chat = await Chat.findById(message.chat).select("members");
+
+        if (chat == null || !chat.isMember(req.user._id)) {
+            return res.status(403).json({
+                msg: "لست عضوا في هذه المحادثة",
+            });
+        }
+
+        const thumbnail = req.query.size === "thumbnail" && attachment.thumbnailKey;
+
+        const file = await storage.read(thumbnail ? attachment.thumbnailKey : attachment.key);
+
+        if (file == null) {
+            return res.status(404).json({
+                msg: "لم يتم العثور على الملف",
+            });
+        }
+
+        res.set("Content-Type", thumbnail ? "image/webp" : attachment.mimeType);
+
+        res.set("X-Content-Type-Options", "nosniff");
+
+        res.set("Content-Disposition",
+            `${isImage(attachment.mimeType) ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`);
+
+        return res.status(200).send(file.body);
+    }
+
+    /**
+     * * Cursor Pagination, Newest First: ?before=<messageId> Returns The Messages Older Than It,
+     * * ?limit= Is The Page Size, With userId The Messages This User Deleted For Themselves Are Hidden.
+     * * Returns { messages, hasMore } With The Messages Oldest First, OR { error }.
+     */
+    async findPage(filter, query, userId) {
+        const { before } = query;
+
+        if (before !== undefined && !mongoose.isValidObjectId(before)) {
+            return { error: { status: 400, msg: "يرجى التحقق من المعلومات" } };
+        }
+
+        if (userId) {
+            filter.deletedFor = { $ne: userId };
+        }
+
+        const limit = Math.min(Math.max(Number.parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        if (before) {
+            filter._id = { $lt: before };
+        }
+
+        const messages = await Message.find(filter)
+            .sort({ _id: -1 })
+            .limit(limit + 1)
+            .populate({
+                path: "sender",
+                select: "-password",
+            });
+
+        const hasMore = messages.length > limit;
+
+        return { messages: messages.slice(0, limit).reverse(), hasMore };
+    }
+
     async getAllMessages(req, res) {
-        const messages = await Message.find().sort("-_id");
+        const result = await this.findPage({}, req.query);
 
-        if (messages.length == 0) {
+        if (result.error) {
+            return res.status(result.error.status).json({
+                msg: result.error.msg,
+            });
+        }
+
+        if (result.messages.length == 0 && !req.query.before) {
             return res.status(404).json({
                 msg: "لا يوجد محادثات"
             });
         }
 
-        return res.status(200).json({
-            messages,
-        })
+        return res.status(200).json(result);
     }
 
     async getMessagesByChatId(req, res) {
         const { chatId } = req.params;
 
-        const messages = await Message.find({ chat: chatId }).populate([{
-            path: "chat",
-            populate: {
-                path: "members",
-                select: "-password"
-            }
-        }, {
+        const result = await this.findPage({ chat: chatId }, req.query, req.user._id);
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                msg: result.error.msg,
+            });
+        }
+
+        if (result.messages.length == 0 && !req.query.before) {
+            return res.status(204).json({});
+        }
+
+        return res.status(200).json(result);
+    }
+
+    /**
+     * * ?q= Searches The Words Of The Messages Of One Chat, Newest First, With The Same Cursor As getMessagesByChatId.
+     */
+    async searchChatMessages(req, res) {
+        const { chatId } = req.params;
+
+        const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+        if (q.length == 0 || q.length > 100) {
+            return res.status(400).json({
+                msg: "يرجى إدخال نص البحث",
+            });
+        }
+
+        const result = await this.findPage({ chat: chatId, $text: { $search: q } }, req.query, req.user._id);
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                msg: result.error.msg,
+            });
+        }
+
+        return res.status(200).json(result);
+    }
+
+    /**
+     * * Returns { message, chat } When The Message Exists And userId Is A Member Of Its Chat, OR { error: { status, msg } }.
+     */
+    async findMessageForMember(messageId, userId) {
+        const message = await Message.findById(messageId);
+
+        if (message == null) {
+            return { error: { status: 404, msg: "لم يتم العثور على الرسالة" } };
+        }
+
+        const chat = await Chat.findById(message.chat);
+
+        if (chat == null || !chat.members.some(member => member.equals(userId))) {
+            return { error: { status: 403, msg: "لست عضوا في هذه المحادثة" } };
+        }
+
+        return { message, chat };
+    }
+
+    /**
+     * * Sends The Changed Message To Every Member Of The Chat, So The Open Chats Update Live.
+     */
+    async broadcastUpdate(chat, messageId) {
+        const message = await Message.findById(messageId).populate({
             path: "sender",
             select: "-password",
-        }]);
+        });
 
-        if (messages.length == 0) {
-            return res.status(204).json({});
+        chat.members.forEach((member) => {
+            emitToUser(member, "messageUpdated", message);
+        });
+
+        return message;
+    }
+
+    /**
+     * * Only The Sender Can Edit, The Old Text Is Kept In editHistory.
+     */
+    async editMessage(req, res) {
+        const { text } = req.body;
+
+        const userId = req.user._id;
+
+        if (typeof text !== "string") {
+            return res.status(400).json({
+                msg: "يجب إدخال نص الرسالة",
+            });
+        }
+
+        const result = await this.findMessageForMember(req.params.messageId, userId);
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                msg: result.error.msg,
+            });
+        }
+
+        const { message, chat } = result;
+
+        if (!message.sender.equals(userId) || message.isDeleted) {
+            return res.status(403).json({
+                msg: "لا يمكنك تعديل هذه الرسالة",
+            });
+        }
+
+        if (text.trim().length == 0 && message.attachments.length == 0) {
+            return res.status(400).json({
+                msg: "يجب إدخال نص الرسالة",
+            });
+        }
+
+        if (message.editHistory.length >= MAX_EDITS) {
+            return res.status(400).json({
+                msg: "لا يمكن تعديل الرسالة أكثر من ذلك",
+            });
+        }
+
+        if (message.text === text.trim()) {
+            return res.status(200).json({
+                msg: "لم يتم تغيير الرسالة",
+                message: await Message.findById(message._id).populate({ path: "sender", select: "-password" }),
+            });
+        }
+
+        message.editHistory.push({ text: message.text });
+
+        message.text = text;
+
+        message.isEdited = true;
+
+        const error = message.validateSync();
+
+        if (error) {
+            return res.status(400).json({
+                msg: error.message,
+            });
+        }
+
+        await message.save();
+
+        const t1 = await this.broadcastUpdate(chat, message._id);
+
+        return res.status(200).json({
+            msg: "تم تعديل الرسالة بنجاح",
+            message: t1,
+        });
+    }
+
+    /**
+     * * forEveryone: true Is For The Sender Only, It Removes The Text For All The Members,
+     * * And Its Attachments, Otherwise The Message Is Hidden For The User Only.
+     */
+    async deleteMessage(req, res) {
+        const { forEveryone } = req.body;
+
+        const userId = req.user._id;
+
+        const result = await this.findMessageForMember(req.params.messageId, userId);
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                msg: result.error.msg,
+            });
+        }
+
+        const { message, chat } = result;
+
+        if (!forEveryone) {
+            await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+
+            emitToUser(userId, "messageDeleted", { chatId: chat._id, messageId: message._id });
+
+            return res.status(200).json({
+                msg: "تم حذف الرسالة لديك",
+            });
         }
 
+        if (!message.sender.equals(userId)) {
+            return res.status(403).json({
+                msg: "لا يمكنك حذف هذه الرسالة للجميع",
+            });
+        }
+
+        await Message.updateOne({ _id: message._id }, {
+            $set: { isDeleted: true, deletedAt: new Date(), text: "", editHistory: [], reactions: [], attachments: [] },
+        });
+
+        await removeAttachments(message.attachments);
+
+        const t1 = await this.broadcastUpdate(chat, message._id);
+
         return res.status(200).json({
-            messages,
-        })
+            msg: "تم حذف الرسالة للجميع",
+            message: t1,
+        });
+    }
+
+    /**
+     * * { emoji } Sets The Reaction Of The User, The Same Emoji Again OR An Empty One Removes It.
+     */
+    async reactToMessage(req, res) {
+        const userId = req.user._id;
+
+        const emoji = typeof req.body.emoji === "string" ? req.body.emoji.trim() : "";
+
+        if (emoji.length > 16) {
+            return res.status(400).json({
+                msg: "يرجى التحقق من المعلومات",
+            });
+        }
+
+        const result = await this.findMessageForMember(req.params.messageId, userId);
+
+        if (result.error) {
+            return res.status(result.error.status).json({
+                msg: result.error.msg,
+            });
+        }
+
+        const { message, chat } = result;
+
+        if (message.isDeleted) {
+            return res.status(400).json({
+                msg: "لا يمكن التفاعل مع رسالة محذوفة",
+            });
+        }
+
+        const current = message.reactions.find(r => r.user.equals(userId));
+
+        await Message.updateOne({ _id: message._id }, { $pull: { reactions: { user: userId } } });
+
+        if (emoji.length > 0 && current?.emoji !== emoji) {
+            await Message.updateOne({ _id: message._id }, { $push: { reactions: { user: userId, emoji } } });
+        }
+
+        const t1 = await this.broadcastUpdate(chat, message._id);
+
+        return res.status(200).json({
+            msg: "تم حفظ التفاعل بنجاح",
+            message: t1,
+        });
     }
 }
 
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const { Notification } = require("../models/notificationModel");
+
+const { emitToUser } = require("../socket");
+
+const DEFAULT_LIMIT = 50;
+
+const MAX_LIMIT = 100;
+
+class NotificationController {
+    constructor() {
+        // * The Routes Pass The Methods Without The Instance, And They Use this.markAsReadBy.
+        this.markAllAsRead = this.markAllAsRead.bind(this);
+        this.markChatAsRead = this.markChatAsRead.bind(this);
+        this.markAsRead = this.markAsRead.bind(this);
+    }
+
+    /**
+     * * Marks The Unread Notifications Matching The Filter As Read,
+     * * And Tells The Other Tabs/Devices Of The User To Do The Same.
+     */
+    async markAsReadBy(userId, filter, event) {
+        const readAt = new Date();
+
+        const result = await Notification.updateMany(
+            { ...filter, user: userId, isRead: false },
+            { $set: { isRead: true, readAt } }
+        );
+
+        emitToUser(userId, "notificationsRead", { ...event, readAt });
+
+        return result.modifiedCount;
+    }
+
+    /**
+     * * The Catch-Up Endpoint, The Client Calls It On Every (Re)Connection.
+     * * ?since=<date> Returns Only The Notifications Created After It, With The Messages They Missed,
+     * * And unreadCounts Is { chatId: count } For All The Chats Of The User.
+     */
+    async getUserNotifications(req, res) {
+        const { userId } = req.params;
+
+        const filter = { user: userId };
+
+        if (req.query.since) {
+            const since = new Date(req.query.since);
+
+            if (isNaN(since.getTime())) {
+                return res.status(400).json({
+                    status: false,
+                    msg: "يرجى التحقق من المعلومات",
+                });
+            }
+
+            filter.createdAt = { $gt: since };
+        }
+
+        const limit = Math.min(Number.parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+        const notifications = await Notification.find(filter)
+            .sort("-createdAt")
+            .limit(limit)
+            .populate({
+                path: "message",
+                populate: [{
+                    path: "sender",
+                    select: "-password",
+                }, "chat"],
+            });
+
+        const unreadCounts = await Notification.unreadCountsByChat(userId);
+
+        return res.status(200).json({
+            status: true,
+            notifications: notifications.map(n => n.toClient()),
+            unreadCounts,
+            serverTime: new Date(),
+        });
+    }
+
+    async markAllAsRead(req, res) {
+        const { userId } = req.params;
+
+        const count = await this.markAsReadBy(userId, {}, { all: true });
+
+        return res.status(200).json({
+            status: true,
+            msg: "تم تحديد كل الإشعارات كمقروءة",
+            count,
+        });
+    }
+
+    async markChatAsRead(req, res) {
+        const { userId, chatId } = req.params;
+
+        const count = await this.markAsReadBy(userId, { chat: chatId }, { chatId });
+
+        return res.status(200).json({
+            status: true,
+            msg: "تم تحديد إشعارات المحادثة كمقروءة",
+            count,
+        });
+    }
+
+    async markAsRead(req, res) {
+        const { userId, notificationId } = req.params;
+
+        if (!mongoose.isValidObjectId(notificationId)) {
+            return res.status(400).json({
+                status: false,
+                msg: "يرجى التحقق من المعلومات",
+            });
+        }
+
+        const notification = await Notification.findOne({ _id: notificationId, user: userId });
+
+        if (notification == null) {
+            return res.status(404).json({
+                status: false,
+                msg: "لم يتم العثور على الإشعار",
+            });
+        }
+
+        const count = await this.markAsReadBy(userId, { _id: notificationId }, { notificationId });
+
+        return res.status(200).json({
+            status: true,
+            msg: "تم تحديد الإشعار كمقروء",
+            count,
+        });
+    }
+}
+
+module.exports = new NotificationController();
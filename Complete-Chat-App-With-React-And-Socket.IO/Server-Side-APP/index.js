@@ -10,6 +10,13 @@ const cors = require('cors');
 
 const morgan = require('morgan');
 
+const http = require('http');
+
+/**
+ * * The Socket.IO Section, It Runs On The Same Server As The REST API.
+ */
+const { initSocket } = require("./socket");
+
 /**
  * * The Users Routes Section.
  */
@@ -25,6 +32,11 @@ const chatRoutes = require("./routes/chatRoutes");
  */
 const messageRoutes = require("./routes/messageRoutes");
 
+/**
+ * * The Notification Routes Section.
+ */
+const notificationRoutes = require("./routes/notificationRoutes");
+
 const app = express();
 
 app.use(express.json());
@@ -41,6 +53,8 @@ app.use('/api/users', userRoutes);
 app.use('/api/chats', chatRoutes);
 
 app.use('/api/messages', messageRoutes);
+
+app.use('/api/notifications', notificationRoutes);
 ////////////////////////////////////////////////////////////////////////
 
 app.use((err, req, res, next) => {
@@ -67,6 +81,10 @@ app.get('/', (req, res) => {
     res.send({ msg: "Testing OK!!!" });
 });
 
-app.listen(process.env.PORT, () => {
-    console.log(`Listen on PORT ${process.env.PORT} on Localhost`);
+const server = http.createServer(app);
+
+initSocket(server);
+
+server.listen(process.env.PORT, () => {
+    console.log(`Listen on PORT ${process.env.PORT} on Localhost (REST API And Socket.IO)`);
 });
\ No newline at end of file
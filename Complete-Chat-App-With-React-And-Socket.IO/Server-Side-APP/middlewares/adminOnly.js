@@ -0,0 +1,13 @@
+/**
+ * * Must Come After auth.js, The Routes Over All The Users (Like get-all-chats) Are For The Admins Only.
+ */
+module.exports = function (req, res, next) {
+    if (req.user?.role !== "admin") {
+        return res.status(403).json({
+            status: false,
+            msg: "هذا الإجراء متاح للمشرفين فقط",
+        });
+    }
+
+    next();
+}
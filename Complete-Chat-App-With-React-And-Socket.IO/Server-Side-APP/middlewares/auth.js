@@ -0,0 +1,49 @@
+const jwt = require('jsonwebtoken');
+
+const { User } = require("../models/userModel");
+
+/**
+ * * The REST Version Of socketAuth.js: The Client Sends The Token It Got From Login/Register
+ * * In "Authorization: Bearer <token>", And The Verified User (Without The Password) Is Put In req.user.
+ * * The Routes Take The Acting User From req.user, Never From The Body OR The Params.
+ */
+module.exports = async function (req, res, next) {
+    let token = null;
+
+    const header = req.headers.authorization;
+
+    if (header && header.startsWith("Bearer ")) {
+        token = header.slice("Bearer ".length);
+    }
+
+    if (!token) {
+        return res.status(401).json({
+            status: false,
+            msg: "يجب تسجيل الدخول أولا",
+        });
+    }
+
+    let payload;
+
+    try {
+        payload = jwt.verify(token, process.env.J_L_SECRET_KEY);
+    } catch (ex) {
+        return res.status(401).json({
+            status: false,
+            msg: "انتهت صلاحية الجلسة، يرجى تسجيل الدخول مرة أخرى",
+        });
+    }
+
+    const user = await User.findById(payload.id).select("-password");
+
+    if (user == null) {
+        return res.status(401).json({
+            status: false,
+            msg: "لا حساب للمستخدم",
+        });
+    }
+
+    req.user = user;
+
+    next();
+}
@@ -17,5 +17,13 @@ module.exports = function(req, res, next) {
         })
     }
 
+    // * The Logged In User Can Only Open Their Own Chats.
+    if(![req.body.firstId, req.body.secId].map(String).includes(String(req.user._id))) {
+        return res.status(403).json({
+            status: false,
+            msg: "لا يمكنك إنشاء محادثة لمستخدمين آخرين"
+        })
+    }
+
     next();
 }
\ No newline at end of file
@@ -0,0 +1,27 @@
+const { Chat } = require("../models/chatModel");
+
+/**
+ * * Must Come After auth.js And chatIdParam.js, The Chat Of req.params.chatId Is Put In req.chat
+ * * When The User Is One Of Its Members.
+ */
+module.exports = async function (req, res, next) {
+    const chat = await Chat.findById(req.params.chatId);
+
+    if (chat == null) {
+        return res.status(404).json({
+            status: false,
+            msg: "لم يتم العثور على المحادثة",
+        });
+    }
+
+    if (!chat.isMember(req.user._id)) {
+        return res.status(403).json({
+            status: false,
+            msg: "لست عضوا في هذه المحادثة",
+        });
+    }
+
+    req.chat = chat;
+
+    next();
+}
@@ -16,5 +16,11 @@ module.exports = function(req, res, next) {
         })
     }
 
+    if(![firstId, secId].includes(String(req.user._id))) {
+        return res.status(403).json({
+            msg: "لا يمكنك الوصول إلى محادثات مستخدمين آخرين",
+        });
+    }
+
     next();
 }
\ No newline at end of file
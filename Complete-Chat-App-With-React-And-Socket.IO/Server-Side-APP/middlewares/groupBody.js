@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * * The Group Routes Get The User Doing The Action From The Token (req.user),
+ * * And Optionally memberIds (An Array) OR memberId In The Body.
+ */
+module.exports = function(req, res, next) {
+    const { memberIds, memberId } = req.body;
+
+    if(memberIds !== undefined && (!Array.isArray(memberIds) || !memberIds.every(id => mongoose.isValidObjectId(id)))) {
+        return res.status(400).json({
+            "status": false,
+            "msg": "يرجى التحقق من معلومات الأعضاء",
+        });
+    }
+
+    if(memberId !== undefined && !mongoose.isValidObjectId(memberId)) {
+        return res.status(400).json({
+            "status": false,
+            "msg": "يرجى التحقق من معلومات العضو",
+        });
+    }
+
+    next();
+}
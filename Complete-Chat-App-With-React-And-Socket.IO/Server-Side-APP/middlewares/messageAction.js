@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+/**
+ * * The Message Routes That Change A Message Get It In req.params.messageId,
+ * * The User Doing The Action Comes From The Token (req.user).
+ */
+module.exports = function (req, res, next) {
+    const { messageId } = req.params;
+
+    if (!mongoose.isValidObjectId(messageId)) {
+        return res.status(400).json({
+            msg: "يرجى التحقق من المعلومات",
+        });
+    }
+
+    next();
+}
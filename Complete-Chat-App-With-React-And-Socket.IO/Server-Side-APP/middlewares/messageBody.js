@@ -1,9 +1,12 @@
 const mongoose = require("mongoose");
 
+/**
+ * * The Sender Is The Logged In User (req.user), Any senderId In The Body Is Ignored.
+ */
 module.exports = function (req, res, next) {
-    const { chatId, senderId } = req.body;
+    const { chatId } = req.body;
 
-    if (!mongoose.isValidObjectId(chatId) || !mongoose.isValidObjectId(senderId)) {
+    if (!mongoose.isValidObjectId(chatId)) {
         return res.status(400).json({
             msg: "يرجى التحقق من المعلومات",
         })
@@ -0,0 +1,13 @@
+/**
+ * * Must Come After auth.js And objectId.js, A User Can Only Reach The Routes With Their Own req.params.userId.
+ */
+module.exports = function (req, res, next) {
+    if (String(req.params.userId) !== String(req.user._id)) {
+        return res.status(403).json({
+            status: false,
+            msg: "لا يمكنك الوصول إلى بيانات مستخدم آخر",
+        });
+    }
+
+    next();
+}
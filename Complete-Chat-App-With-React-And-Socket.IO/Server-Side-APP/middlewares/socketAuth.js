@@ -0,0 +1,32 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * * Handshake Middleware: The Client Must Send The Token It Got From Login/Register
+ * * (userSchema.methods.generateToken) In socket.handshake.auth.token.
+ * * The Socket Is Bound To The Verified User In socket.data.userId.
+ */
+module.exports = function (socket, next) {
+    let token = socket.handshake.auth?.token;
+
+    // Also Accept "Authorization: Bearer <token>" For Clients That Can't Set auth.
+    const header = socket.handshake.headers?.authorization;
+
+    if (!token && header && header.startsWith("Bearer ")) {
+        token = header.slice("Bearer ".length);
+    }
+
+    if (!token) {
+        return next(new Error("No Token Provided"));
+    }
+
+    try {
+        const payload = jwt.verify(token, process.env.J_L_SECRET_KEY);
+
+        socket.data.userId = String(payload.id);
+        socket.data.email = payload.email;
+
+        next();
+    } catch (ex) {
+        next(new Error("Invalid Token"));
+    }
+}
@@ -0,0 +1,47 @@
+const multer = require("multer");
+
+const { ATTACHMENT_TYPES, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS } = require("../storage/attachments");
+
+/**
+ * * The Files Stay In Memory Until storage/attachments.js Checks And Stores Them.
+ */
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_ATTACHMENT_SIZE,
+        files: MAX_ATTACHMENTS,
+    },
+    fileFilter: (req, file, cb) => {
+        if (!ATTACHMENT_TYPES[file.mimetype]) {
+            const err = new Error(`Invalid File Type: ${file.mimetype}`);
+
+            err.code = "INVALID_FILE_TYPE";
+
+            return cb(err);
+        }
+
+        cb(null, true);
+    },
+}).array("files", MAX_ATTACHMENTS);
+
+const ERROR_MESSAGES = {
+    LIMIT_FILE_SIZE: `حجم الملف يجب ألا يتجاوز ${MAX_ATTACHMENT_SIZE / 1024 / 1024} ميغابايت`,
+    LIMIT_FILE_COUNT: `لا يمكن إرسال أكثر من ${MAX_ATTACHMENTS} ملفات`,
+    LIMIT_UNEXPECTED_FILE: `لا يمكن إرسال أكثر من ${MAX_ATTACHMENTS} ملفات`,
+    INVALID_FILE_TYPE: "نوع الملف غير مسموح",
+};
+
+/**
+ * * The multer Errors Are Answered With 400, Not With The 500 Of The Error Handler.
+ */
+module.exports = function (req, res, next) {
+    upload(req, res, (err) => {
+        if (err instanceof multer.MulterError || err?.code === "INVALID_FILE_TYPE") {
+            return res.status(400).json({
+                msg: ERROR_MESSAGES[err.code] ?? "يرجى التحقق من الملفات",
+            });
+        }
+
+        next(err);
+    });
+}
@@ -8,10 +8,55 @@ const chatSchema = new mongoose.Schema({
         required: true,
         ref: 'User',
     }],
+
+    /**
+     * * A Direct Chat Has Exactly Two Members And No Name,
+     * * A Group Has A Name, An Optional Avatar And At Least One Admin.
+     */
+    isGroup: {
+        type: Boolean,
+        default: false,
+    },
+
+    name: {
+        type: String,
+        trim: true,
+        minLength: 2,
+        maxLength: 50,
+        required: function () {
+            return this.isGroup;
+        },
+    },
+
+    avatar: {
+        type: String,
+        trim: true,
+        maxLength: 1024,
+        default: "",
+    },
+
+    /// * The Admins Of A Group Can Rename It, Add/Remove Members And Promote Other Admins.
+    admins: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    }],
+
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
 }, {timestamps: true});
 
+chatSchema.methods.isMember = function (userId) {
+    return this.members.some(member => String(member?._id ?? member) === String(userId));
+}
+
+chatSchema.methods.isAdmin = function (userId) {
+    return this.admins.some(admin => String(admin?._id ?? admin) === String(userId));
+}
+
 const Chat = mongoose.model('Chat', chatSchema);
 
 module.exports.chatSchema = chatSchema;
 
-module.exports.Chat = Chat;
\ No newline at end of file
+module.exports.Chat = Chat;
@@ -1,5 +1,92 @@
 const mongoose = require("mongoose");
 
+/**
+ * * One Receipt For Every Member Of The Chat (Except The Sender) When The Message Was Sent.
+ */
+const receiptSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    /// * One Of The Sockets Of The Member Got The Message.
+    deliveredAt: {
+        type: Date,
+        default: null,
+    },
+
+    /// * The Member Opened The Chat And Read Up To This Message.
+    readAt: {
+        type: Date,
+        default: null,
+    },
+}, { _id: false });
+
+const editSchema = new mongoose.Schema({
+    /// * The Text Before The Edit.
+    text: {
+        type: String,
+        default: "",
+    },
+
+    editedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+/**
+ * * One Reaction For Every User, Reacting Again Replaces It.
+ */
+const reactionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    emoji: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 16,
+    },
+}, { _id: false });
+
+/**
+ * * A File Sent With The Message, Stored By storage/attachments.js.
+ */
+const attachmentSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+    },
+
+    /// * The Original File Name, For The Download.
+    name: {
+        type: String,
+        required: true,
+    },
+
+    mimeType: {
+        type: String,
+        required: true,
+    },
+
+    size: {
+        type: Number,
+        required: true,
+    },
+
+    /// * Only For The Images.
+    width: Number,
+
+    height: Number,
+
+    thumbnailKey: String,
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
     chat: {
         type: mongoose.Schema.Types.ObjectId,
@@ -13,16 +100,72 @@ const messageSchema = new mongoose.Schema({
         required: true,
     },
 
+    /// * Can Be Empty When The Message Has Attachments.
     text: {
         type: String,
-        required: true,
         trim: true,
-        minLength: 2,
+        maxLength: 5000,
+        default: "",
+    },
+
+    attachments: [attachmentSchema],
+
+    receipts: [receiptSchema],
+
+    isEdited: {
+        type: Boolean,
+        default: false,
+    },
+
+    editHistory: [editSchema],
+
+    reactions: [reactionSchema],
+
+    /// * Delete For Me: The Message Is Hidden For These Users Only.
+    deletedFor: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    }],
+
+    /// * Delete For Everyone: The Text And The History Are Removed, The Message Stays As A Placeholder.
+    isDeleted: {
+        type: Boolean,
+        default: false,
+    },
+
+    deletedAt: {
+        type: Date,
+        default: null,
     },
 }, { timestamps: true });
 
+messageSchema.pre("validate", function (next) {
+    if (!this.isDeleted && this.text.length == 0 && this.attachments.length == 0) {
+        this.invalidate("text", "A Message Needs A Text OR An Attachment");
+    }
+
+    next();
+});
+
+/// * The Pages Of A Chat, Newest First (?before=<messageId>).
+messageSchema.index({ chat: 1, _id: -1 });
+
+/// * The Search Is Always Inside One Chat, So The Chat Is The Prefix Of The Text Index.
+messageSchema.index({ chat: 1, text: "text" });
+
+/// * To Find The Messages Not Delivered/Read Yet By A User.
+messageSchema.index({ "receipts.user": 1 });
+
 const Message = mongoose.model('Message', messageSchema);
 
+module.exports.receiptSchema = receiptSchema;
+
+module.exports.attachmentSchema = attachmentSchema;
+
+module.exports.editSchema = editSchema;
+
+module.exports.reactionSchema = reactionSchema;
+
 module.exports.messageSchema = messageSchema;
 
 module.exports.Message = Message;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+/**
+ * * One Notification For Every Member Of The Chat (Except The Sender) Of Every Message,
+ * * It Is Stored Even If The Member Is Offline, So They Get It When They Come Back.
+ */
+const notificationSchema = new mongoose.Schema({
+    /// * The Member Who Receives The Notification.
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: true,
+    },
+
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true,
+    },
+
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    isRead: {
+        type: Boolean,
+        default: false,
+    },
+
+    readAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+notificationSchema.index({ user: 1, isRead: 1, chat: 1 });
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * * The Shape The Client Uses, The Same For The Socket "getNotification" Event And The REST API.
+ */
+notificationSchema.methods.toClient = function () {
+    return {
+        _id: this._id,
+        chatId: this.chat?._id ?? this.chat,
+        senderId: this.sender?._id ?? this.sender,
+        message: this.message,
+        isRead: this.isRead,
+        readAt: this.readAt,
+        date: this.createdAt,
+    };
+}
+
+/**
+ * * Returns { chatId: count } With The Unread Notifications Of The User In Every Chat.
+ */
+notificationSchema.statics.unreadCountsByChat = async function (userId) {
+    const result = await this.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId), isRead: false } },
+        { $group: { _id: "$chat", count: { $sum: 1 } } },
+    ]);
+
+    const counts = {};
+
+    result.forEach((t1) => {
+        counts[String(t1._id)] = t1.count;
+    });
+
+    return counts;
+}
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports.notificationSchema = notificationSchema;
+
+module.exports.Notification = Notification;
@@ -28,6 +28,13 @@ const userSchema = new mongoose.Schema({
         minLength: 5,
         maxLength: 1024,
         trim: true,
+    },
+
+    /// * Only The Admins Can Use The Routes Over All The Users, Like get-all-chats (See middlewares/adminOnly.js).
+    role: {
+        type: String,
+        enum: ["user", "admin"],
+        default: "user",
     }
 }, { timestamps: true });
 
@@ -14,21 +14,49 @@ const userId = require("../middlewares/objectId");
 const getChatParam = require("../middlewares/chatParam");
 const chatIdParam = require('../middlewares/chatIdParam');
 
+const groupBody = require("../middlewares/groupBody");
+
+const auth = require("../middlewares/auth");
+
+const adminOnly = require("../middlewares/adminOnly");
+
+const sameUser = require("../middlewares/sameUser");
+
+const chatMember = require("../middlewares/chatMember");
+
 /**
  * The Router Section.
  */
 const router = express.Router();
 
-router.get('/get-all-chats', chatController.getAllChatData);
+/// * Every Chat Route Needs The Token, The Acting User Is req.user.
+router.use(auth);
+
+router.get('/get-all-chats', adminOnly, chatController.getAllChatData);
 
 router.post('/create-new-chat', chatBody, chatController.createChat);
 
-router.get('/get-chat-by-id/:chatId', chatId, chatController.getChatById);
+router.get('/get-chat-by-id/:chatId', chatId, chatMember, chatController.getChatById);
 
-router.get('/get-user-chats-by-user-id/:userId', userId, chatController.getUserChats);
+router.get('/get-user-chats-by-user-id/:userId', userId, sameUser, chatController.getUserChats);
 
 router.get('/get-chat-for-specific-users/:firstId/:secId', getChatParam, chatController.getChatForSpecificUsers);
 
-router.delete('/delete-chat-by-id/:chatId', chatIdParam, chatController.deleteChatById);
+router.delete('/delete-chat-by-id/:chatId', chatIdParam, chatMember, chatController.deleteChatById);
+
+/**
+ * * The Group Chats Section.
+ */
+router.post('/create-new-group', groupBody, chatController.createGroup);
+
+router.put('/update-group/:chatId', chatIdParam, groupBody, chatController.updateGroup);
+
+router.post('/add-group-members/:chatId', chatIdParam, groupBody, chatController.addGroupMembers);
+
+router.post('/remove-group-member/:chatId', chatIdParam, groupBody, chatController.removeGroupMember);
+
+router.post('/set-group-admin/:chatId', chatIdParam, groupBody, chatController.setGroupAdmin);
+
+router.post('/leave-group/:chatId', chatIdParam, groupBody, chatController.leaveGroup);
 
 module.exports = router;
\ No newline at end of file
@@ -4,14 +4,45 @@ const messageBody = require("../middlewares/messageBody");
 
 const chatIdParam = require("../middlewares/chatIdParam");
 
+const userId = require("../middlewares/objectId");
+
+const messageAction = require("../middlewares/messageAction");
+
+const uploadAttachments = require("../middlewares/uploadAttachments");
+
+const auth = require("../middlewares/auth");
+
+const adminOnly = require("../middlewares/adminOnly");
+
+const sameUser = require("../middlewares/sameUser");
+
+const chatMember = require("../middlewares/chatMember");
+
 const messageController = require("../controllers/messageController");
 
 const router = express.Router();
 
+/// * Every Message Route Needs The Token, The Sender OR The Acting User Is req.user.
+router.use(auth);
+
 router.post("/create-new-message", messageBody, messageController.createMessage);
 
-router.get("/get-all-messages", messageController.getAllMessages);
+router.post("/create-message-with-attachments", uploadAttachments, messageBody, messageController.createMessageWithAttachments);
+
+router.get("/get-attachment/:messageId/:key", messageController.getAttachment);
+
+router.get("/get-all-messages", adminOnly, messageController.getAllMessages);
+
+router.get("/get-chat-messages-by-chat-id/:chatId", chatIdParam, chatMember, messageController.getMessagesByChatId);
+
+router.get("/search-chat-messages/:chatId", chatIdParam, chatMember, messageController.searchChatMessages);
+
+router.patch("/mark-chat-as-read/:userId/:chatId", userId, sameUser, chatIdParam, chatMember, messageController.markChatAsRead);
+
+router.put("/edit-message/:messageId", messageAction, messageController.editMessage);
+
+router.post("/delete-message/:messageId", messageAction, messageController.deleteMessage);
 
-router.get("/get-chat-messages-by-chat-id/:chatId", chatIdParam, messageController.getMessagesByChatId);
+router.post("/react-to-message/:messageId", messageAction, messageController.reactToMessage);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require("express");
+
+const userId = require("../middlewares/objectId");
+
+const chatIdParam = require("../middlewares/chatIdParam");
+
+const auth = require("../middlewares/auth");
+
+const sameUser = require("../middlewares/sameUser");
+
+const notificationController = require("../controllers/notificationController");
+
+const router = express.Router();
+
+/// * A User Can Only Reach Their Own Notifications.
+router.use(auth);
+
+router.get("/get-user-notifications/:userId", userId, sameUser, notificationController.getUserNotifications);
+
+router.patch("/mark-all-as-read/:userId", userId, sameUser, notificationController.markAllAsRead);
+
+router.patch("/mark-chat-as-read/:userId/:chatId", userId, sameUser, chatIdParam, notificationController.markChatAsRead);
+
+router.patch("/mark-as-read/:userId/:notificationId", userId, sameUser, notificationController.markAsRead);
+
+module.exports = router;
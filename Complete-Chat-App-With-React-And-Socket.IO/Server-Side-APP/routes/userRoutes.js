@@ -4,14 +4,16 @@ const userController = require("../controllers/userController");
 
 const userId = require("../middlewares/objectId");
 
+const auth = require("../middlewares/auth");
+
 const router = express.Router();
 
-router.get('/', userController.getAllUsersData);
+router.get('/', auth, userController.getAllUsersData);
 
 router.post('/register-new-user', userController.registerNewUser);
 
 router.post('/login-user-to-account', userController.loginUser);
 
-router.get('/get-user-data/:userId', userId, userController.findUserById);
+router.get('/get-user-data/:userId', auth, userId, userController.findUserById);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,211 @@
+const { Server } = require("socket.io");
+
+const mongoose = require("mongoose");
+
+const socketAuth = require("../middlewares/socketAuth");
+
+const attachRedisAdapter = require("./redisAdapter");
+
+const { userRoom, getOnlineUsers, broadcastOnlineUsers } = require("./presence");
+
+/**
+ * * The Socket.IO Server, Attached To The Same HTTP Server As Express.
+ */
+let io = null;
+
+/**
+ * * Sends An Event To All The Sockets Of A User, When They Are Offline Nothing Is Sent.
+ */
+function emitToUser(userId, event, payload) {
+    if (io == null) {
+        return;
+    }
+
+    io.to(userRoom(String(userId))).emit(event, payload);
+}
+
+/**
+ * * Pushes A Saved Message And Its Notifications To Every Member Of Its Chat Except The Sender, On All Their Sockets.
+ * * Used By The Socket "addMessage" Event And By The REST createMessage, So Both Deliver The Same Way.
+ * * The Notifications Are Already Stored, The Offline Members Get Them From The REST API When They Reconnect.
+ */
+function deliverMessage(message, notifications = []) {
+    const senderId = String(message.sender?._id ?? message.sender);
+
+    const members = message.chat?.members ?? [];
+
+    members.forEach((member) => {
+        const memberId = String(member?._id ?? member);
+
+        if (memberId === senderId) {
+            return;
+        }
+
+        emitToUser(memberId, "getMessage", message);
+    });
+
+    notifications.forEach((notification) => {
+        emitToUser(notification.user, "getNotification", { ...notification.toClient(), message });
+    });
+}
+
+function initSocket(server) {
+    // ! We Require The Controller Here, Because It Requires This File For deliverMessage.
+    const messageController = require("../controllers/messageController");
+
+    const { Chat } = require("../models/chatModel");
+
+    /**
+     * * Sends "typing" OR "stopTyping" To The Other Members, Only When The User Is A Member Of The Chat.
+     */
+    const emitTyping = async (socket, payload, event) => {
+        const chatId = payload?.chatId;
+
+        if (!mongoose.isValidObjectId(chatId)) {
+            return;
+        }
+
+        const chat = await Chat.findOne({ _id: chatId, members: socket.data.userId }).select("members");
+
+        if (chat == null) {
+            return;
+        }
+
+        chat.members.forEach((member) => {
+            if (String(member) === socket.data.userId) {
+                return;
+            }
+
+            emitToUser(member, event, { chatId, userId: socket.data.userId });
+        });
+    };
+
+    io = new Server(server, {
+        cors: { origin: process.env.CLIENT_URL || "http://localhost:5173" },
+    });
+
+    attachRedisAdapter(io);
+
+    /**
+     * * Every Connection Must Have A Valid Token, See middlewares/socketAuth.js.
+     */
+    io.use(socketAuth);
+
+    io.on("connection", (socket) => {
+        /// * The userId Is Taken From The Token, We Don't Trust The One Sent By The Client.
+        socket.join(userRoom(socket.data.userId));
+
+        broadcastOnlineUsers(io).catch((ex) => {
+            console.error("The Error of getOnlineUsers is: ", ex);
+        });
+
+        /// * The Messages Sent While The User Was Offline Are Delivered Now, The Client Fetches Them On Connect.
+        messageController.markDelivered(socket.data.userId).catch((ex) => {
+            console.error("The Error of markDelivered is: ", ex);
+        });
+
+        /// * The User Stays Online Until Their Last Socket Is Disconnected.
+        socket.on("disconnect", () => {
+            broadcastOnlineUsers(io).catch((ex) => {
+                console.error("The Error of getOnlineUsers is: ", ex);
+            });
+        });
+
+        /**
+         * * The Client Sends { chatId, text } And Gets In The Acknowledgement
+         * * { status: true, message } With The Stored Message (And Its _id), OR { status: false, msg }.
+         */
+        socket.on("addMessage", async (payload, ack) => {
+            const reply = typeof ack === "function" ? ack : () => {};
+
+            try {
+                const result = await messageController.saveMessage({
+                    chatId: payload?.chatId,
+                    senderId: socket.data.userId,
+                    text: payload?.text,
+                });
+
+                if (result.error) {
+                    return reply({ status: false, msg: result.error.msg });
+                }
+
+                reply({ status: true, message: result.message });
+
+                deliverMessage(result.message, result.notifications);
+            } catch (ex) {
+                console.error("The Error of addMessage is: ", ex);
+
+                reply({ status: false, msg: "حدث خطأ في السيرفر، يرجى المحاولة لاحقا" });
+            }
+        });
+
+        /**
+         * * The Client Got Live Messages ("getMessage"), It Sends { messageIds }.
+         */
+        socket.on("messageDelivered", async (payload) => {
+            // ! A Throw Here Would Be An Unhandled Rejection, So A Bad Payload Is Just Ignored.
+            if (!Array.isArray(payload?.messageIds)) {
+                return;
+            }
+
+            try {
+                const messageIds = payload.messageIds.filter(id => typeof id === "string" && mongoose.isValidObjectId(id));
+
+                if (messageIds.length == 0) {
+                    return;
+                }
+
+                await messageController.markDelivered(socket.data.userId, messageIds);
+            } catch (ex) {
+                console.error("The Error of messageDelivered is: ", ex);
+            }
+        });
+
+        /**
+         * * The Client Has Shown The Chat Up To A Message, It Sends { chatId, messageId }.
+         */
+        socket.on("readUpTo", async (payload) => {
+            if (!mongoose.isValidObjectId(payload?.chatId) || !mongoose.isValidObjectId(payload?.messageId)) {
+                return;
+            }
+
+            try {
+                await messageController.markReadUpTo(payload.chatId, socket.data.userId, payload.messageId);
+            } catch (ex) {
+                console.error("The Error of readUpTo is: ", ex);
+            }
+        });
+
+        socket.on("typing", (payload) => {
+            emitTyping(socket, payload, "typing").catch((ex) => {
+                console.error("The Error of typing is: ", ex);
+            });
+        });
+
+        socket.on("stopTyping", (payload) => {
+            emitTyping(socket, payload, "stopTyping").catch((ex) => {
+                console.error("The Error of stopTyping is: ", ex);
+            });
+        });
+
+        /**
+         * * Kept For The Clients That Ask For The List After Connecting,
+         * * The Socket Has Already Joined Its Room On Connection.
+         */
+        socket.on("addNewUser", async () => {
+            try {
+                socket.emit("getOnlineUsers", await getOnlineUsers(io));
+            } catch (ex) {
+                console.error("The Error of getOnlineUsers is: ", ex);
+            }
+        });
+    });
+
+    return io;
+}
+
+module.exports.initSocket = initSocket;
+
+module.exports.deliverMessage = deliverMessage;
+
+module.exports.emitToUser = emitToUser;
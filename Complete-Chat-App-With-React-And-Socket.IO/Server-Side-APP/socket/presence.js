@@ -0,0 +1,42 @@
+/**
+ * * Every User Has Their Own Room, All Their Sockets (Tabs, Devices) Join It,
+ * * So We Send To The User And Not To One Of Their Sockets.
+ */
+function userRoom(userId) {
+    return `user:${userId}`;
+}
+
+/**
+ * * The Online Users Are Computed From The Connected Sockets,
+ * * With The Redis Adapter fetchSockets() Returns The Sockets Of All The Socket Servers,
+ * * So Every Server Has The Same List And A Crashed Server Doesn't Keep Its Users Online.
+ *
+ * * Returns [{ userId, socketCount }].
+ */
+async function getOnlineUsers(io) {
+    const sockets = await io.fetchSockets();
+
+    const counts = new Map();
+
+    sockets.forEach((socket) => {
+        const userId = socket.data.userId;
+
+        if (!userId) {
+            return;
+        }
+
+        counts.set(userId, (counts.get(userId) ?? 0) + 1);
+    });
+
+    return [...counts].map(([userId, socketCount]) => ({ userId, socketCount }));
+}
+
+async function broadcastOnlineUsers(io) {
+    io.emit("getOnlineUsers", await getOnlineUsers(io));
+}
+
+module.exports.userRoom = userRoom;
+
+module.exports.getOnlineUsers = getOnlineUsers;
+
+module.exports.broadcastOnlineUsers = broadcastOnlineUsers;
@@ -0,0 +1,33 @@
+const { createAdapter } = require("@socket.io/redis-adapter");
+const Redis = require("ioredis");
+
+/**
+ * * When REDIS_URL Is Set, The Socket Servers Share Their Rooms And Events Through Redis,
+ * * So We Can Run Several Of Them Behind A Load Balancer (With Sticky Sessions).
+ * * Without It We Keep The Default In-Memory Adapter, Good For One Server.
+ */
+function attachRedisAdapter(io) {
+    const url = process.env.REDIS_URL;
+
+    if (!url) {
+        return null;
+    }
+
+    const pubClient = new Redis(url);
+
+    const subClient = pubClient.duplicate();
+
+    [pubClient, subClient].forEach((client) => {
+        client.on("error", (err) => {
+            console.error("The Error of Redis is: ", err.message);
+        });
+    });
+
+    io.adapter(createAdapter(pubClient, subClient));
+
+    console.log("The Socket.IO Redis Adapter is Using: ", url);
+
+    return { pubClient, subClient };
+}
+
+module.exports = attachRedisAdapter;
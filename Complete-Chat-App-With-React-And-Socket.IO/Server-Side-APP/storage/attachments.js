@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+const { storage } = require("./index");
+
+/**
+ * * The Allowed Types Of Attachments And The Extension Of Their Keys.
+ */
+const ATTACHMENT_TYPES = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/gif": "gif",
+    "image/webp": "webp",
+    "application/pdf": "pdf",
+    "text/plain": "txt",
+    "application/zip": "zip",
+    "application/msword": "doc",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+    "audio/mpeg": "mp3",
+    "video/mp4": "mp4",
+};
+
+const MAX_ATTACHMENT_SIZE = (Number(process.env.MAX_ATTACHMENT_SIZE_MB) || 10) * 1024 * 1024;
+
+const MAX_ATTACHMENTS = 5;
+
+const THUMBNAIL_WIDTH = 320;
+
+function isImage(mimeType) {
+    return mimeType.startsWith("image/");
+}
+
+/**
+ * * Removes The Files Of The Attachments (And Their Thumbnails), The Errors Are Only Logged.
+ */
+async function removeAttachments(attachments) {
+    for (const attachment of attachments) {
+        for (const key of [attachment.key, attachment.thumbnailKey]) {
+            if (!key) {
+                continue;
+            }
+
+            try {
+                await storage.remove(key);
+            } catch (ex) {
+                console.error("The Error of Removing The Attachment is: ", ex);
+            }
+        }
+    }
+}
+
+/**
+ * * Stores The Uploaded Files (From multer memoryStorage) With A Thumbnail For The Images.
+ * * An Image That sharp Can't Read Is Rejected, So A File Can't Pretend To Be An Image.
+ * * Returns { attachments } OR { error: { status, msg } }, Nothing Is Kept On Error.
+ */
+async function saveAttachments(files) {
+    const attachments = [];
+
+    try {
+        for (const file of files) {
+            const extension = ATTACHMENT_TYPES[file.mimetype];
+
+            const key = `${crypto.randomBytes(16).toString("hex")}.${extension}`;
+
+            const attachment = {
+                key,
+                name: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+            };
+
+            if (isImage(file.mimetype)) {
+                let metadata;
+
+                try {
+                    metadata = await sharp(file.buffer).metadata();
+                } catch (ex) {
+                    await removeAttachments(attachments);
+
+                    return { error: { status: 400, msg: `الملف ${file.originalname} ليس صورة صالحة` } };
+                }
+
+                attachment.width = metadata.width;
+                attachment.height = metadata.height;
+
+                const thumbnail = await sharp(file.buffer)
+                    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+                    .webp()
+                    .toBuffer();
+
+                attachment.thumbnailKey = `thumb-${key}.webp`;
+
+                await storage.save(attachment.thumbnailKey, thumbnail, "image/webp");
+            }
+
+            attachments.push(attachment);
+
+            await storage.save(key, file.buffer, file.mimetype);
+        }
+    } catch (ex) {
+        await removeAttachments(attachments);
+
+        throw ex;
+    }
+
+    return { attachments };
+}
+
+module.exports.ATTACHMENT_TYPES = ATTACHMENT_TYPES;
+
+module.exports.MAX_ATTACHMENT_SIZE = MAX_ATTACHMENT_SIZE;
+
+module.exports.MAX_ATTACHMENTS = MAX_ATTACHMENTS;
+
+module.exports.isImage = isImage;
+
+module.exports.saveAttachments = saveAttachments;
+
+module.exports.removeAttachments = removeAttachments;
@@ -0,0 +1,36 @@
+/**
+ * * The Storage Of The Attachments, STORAGE_DRIVER Picks It: local (Default) OR s3.
+ * * Every Driver Has The Same Interface:
+ * *   save(key, body, contentType)  Stores The Buffer Under key.
+ * *   read(key)                     Resolves { body } OR null When There Is No Such File.
+ * *   remove(key)                   Deletes The File, Does Nothing When It Doesn't Exist.
+ */
+const { isValidKey } = require("./keys");
+
+function createStorage(env) {
+    const driver = env.STORAGE_DRIVER || "local";
+
+    if (driver === "local") {
+        return require("./localDriver")({
+            root: env.UPLOAD_DIR || "uploads",
+        });
+    }
+
+    if (driver === "s3") {
+        return require("./s3Driver")({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION || "us-east-1",
+            endpoint: env.S3_ENDPOINT,
+            accessKeyId: env.S3_ACCESS_KEY,
+            secretAccessKey: env.S3_SECRET_KEY,
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+module.exports.storage = createStorage(process.env);
+
+module.exports.createStorage = createStorage;
+
+module.exports.isValidKey = isValidKey;
@@ -0,0 +1,8 @@
+/**
+ * * A Key Is A Plain File Name: No Slashes, No "..", Nothing That Can Walk Out Of The Storage.
+ */
+function isValidKey(key) {
+    return typeof key === "string" && /^[A-Za-z0-9][A-Za-z0-9._-]{0,199}$/.test(key) && !key.includes("..");
+}
+
+module.exports.isValidKey = isValidKey;
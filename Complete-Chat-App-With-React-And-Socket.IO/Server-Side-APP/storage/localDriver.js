@@ -0,0 +1,66 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const { isValidKey } = require("./keys");
+
+/**
+ * * Stores The Files In A Folder On The Disk Of The Server.
+ */
+function createLocalDriver(options) {
+    const root = path.resolve(options.root);
+
+    /// * Resolves The Key Inside root, null When The Key Could Escape It.
+    const filePath = (key) => {
+        if (!isValidKey(key)) {
+            return null;
+        }
+
+        const file = path.resolve(root, key);
+
+        return file.startsWith(root + path.sep) ? file : null;
+    };
+
+    return {
+        name: "local",
+
+        async save(key, body) {
+            const file = filePath(key);
+
+            if (!file) {
+                throw new Error(`Invalid Storage Key: ${key}`);
+            }
+
+            await fs.mkdir(root, { recursive: true });
+
+            await fs.writeFile(file, body);
+        },
+
+        async read(key) {
+            const file = filePath(key);
+
+            if (!file) {
+                return null;
+            }
+
+            try {
+                return { body: await fs.readFile(file) };
+            } catch (ex) {
+                if (ex.code === "ENOENT" || ex.code === "EISDIR") {
+                    return null;
+                }
+
+                throw ex;
+            }
+        },
+
+        async remove(key) {
+            const file = filePath(key);
+
+            if (file) {
+                await fs.rm(file, { force: true });
+            }
+        },
+    };
+}
+
+module.exports = createLocalDriver;
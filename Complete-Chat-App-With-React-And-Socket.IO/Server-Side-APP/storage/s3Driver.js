@@ -0,0 +1,70 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+const { isValidKey } = require("./keys");
+
+/**
+ * * Stores The Files In An S3 Bucket, With S3_ENDPOINT It Works With Any S3-Compatible Server,
+ * * Like A Local MinIO While Developing.
+ */
+function createS3Driver(options) {
+    const client = new S3Client({
+        region: options.region,
+        endpoint: options.endpoint,
+        /// * MinIO And Most Local Servers Don't Support The Bucket Sub-Domains.
+        forcePathStyle: !!options.endpoint,
+        credentials: options.accessKeyId ? {
+            accessKeyId: options.accessKeyId,
+            secretAccessKey: options.secretAccessKey,
+        } : undefined,
+    });
+
+    const bucket = options.bucket;
+
+    return {
+        name: "s3",
+
+        async save(key, body, contentType) {
+            if (!isValidKey(key)) {
+                throw new Error(`Invalid Storage Key: ${key}`);
+            }
+
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+            }));
+        },
+
+        async read(key) {
+            if (!isValidKey(key)) {
+                return null;
+            }
+
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+
+                return { body: Buffer.from(await object.Body.transformToByteArray()) };
+            } catch (ex) {
+                if (ex.name === "NoSuchKey" || ex.$metadata?.httpStatusCode === 404) {
+                    return null;
+                }
+
+                throw ex;
+            }
+        },
+
+        async remove(key) {
+            if (isValidKey(key)) {
+                await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            }
+        },
+    };
+}
+
+module.exports = createS3Driver;
@@ -6,6 +6,7 @@ const morgan = require('morgan');
 const connectDB = require('./config/database');
 
 // Route imports
+const authRoutes = require('./routes/authRoutes')
 const userRoutes = require('./routes/userRoutes');
 const postRoutes = require('./routes/postRoutes');
 const commentRoutes = require('./routes/commentRoutes');
@@ -31,6 +32,7 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
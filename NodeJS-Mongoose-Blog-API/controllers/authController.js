@@ -0,0 +1,103 @@
+// controllers/authController.js
+const User = require('../models/user')
+
+// Same shape as the createUser response
+const toAuthUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.profile?.firstName,
+  lastName: user.profile?.lastName,
+  role: user.role,
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+})
+
+// Self registration always creates a "user", only an admin can give other roles
+exports.register = async (req, res, next) => {
+  try {
+    const { username, email, password, profile } = req.body
+
+    const t1 = await User.findOne({
+      $or: [
+        { username },
+        { email }
+      ]
+    })
+
+    if (t1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username or Email Already Exists'
+      })
+    }
+
+    const user = await User.create({
+      username,
+      email,
+      password,
+      profile
+    })
+
+    res.status(201).json({
+      success: true,
+      token: user.generateAuthToken(),
+      data: toAuthUser(user)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      })
+    }
+
+    // password has select: false in the schema
+    const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password')
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      })
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been deactivated'
+      })
+    }
+
+    user.lastLogin = new Date()
+    await user.save({ validateBeforeSave: false })
+
+    res.status(200).json({
+      success: true,
+      token: user.generateAuthToken(),
+      data: toAuthUser(user)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.getMe = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: toAuthUser(req.user)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
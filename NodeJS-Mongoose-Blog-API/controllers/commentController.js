@@ -1,11 +1,46 @@
 // controllers/commentController.js
 const Comment = require('../models/comment')
 const Post = require('../models/post')
+const Like = require('../models/like')
 
 // Fields for list view
 const COMMENT_LIST_FIELDS = 'content author post status likes createdAt isEdited'
 const COMMENT_EXCLUDE_FIELDS = '-__v'
 
+const isCommentAuthor = (comment, user) => comment.author.toString() === user.id
+
+// Fields for the thread view
+const COMMENT_TREE_FIELDS = 'content author parentComment likes createdAt isEdited isDeleted'
+
+// Approved comments, and the tombstones of deleted ones that keep their replies
+const VISIBLE_IN_TREE = { $or: [{ status: 'approved' }, { isDeleted: true }] }
+
+const DEFAULT_TREE_DEPTH = 3
+const MAX_TREE_DEPTH = 10
+const MAX_TREE_LIMIT = 50
+// Replies loaded under each comment, the rest are left to ?parentId (see replyCount)
+const MAX_TREE_REPLIES = 10
+
+const TREE_PROJECTION = Object.fromEntries(COMMENT_TREE_FIELDS.split(' ').map(field => [field, 1]))
+
+// Populated tombstones (a parent or a reply) keep their _id but not what was deleted
+const hideTombstone = (doc) => doc && doc.isDeleted
+  ? { _id: doc._id, content: null, author: null, isDeleted: true, createdAt: doc.createdAt }
+  : doc
+
+// A tombstone keeps its place in the thread but hides what was deleted
+const toTreeNode = (comment) => comment.isDeleted
+  ? {
+    _id: comment._id,
+    parentComment: comment.parentComment,
+    content: null,
+    author: null,
+    isDeleted: true,
+    createdAt: comment.createdAt,
+    replies: []
+  }
+  : { ...comment, replies: [] }
+
 exports.createComment = async (req, res, next) => {
   try {
     const { content, postId, parentCommentId } = req.body
@@ -33,7 +68,7 @@ exports.createComment = async (req, res, next) => {
     const comment = await Comment.create({
       content,
       post: postId,
-      author: req.body.author || req.user?.id,
+      author: req.user.id,
       parentComment: parentCommentId || null
     })
         
@@ -51,7 +86,8 @@ exports.getAllComments = async (req, res, next) => {
   try {
     const { page = 1, limit = 20, postId, status, authorId } = req.query
     
-    const filter = {}
+    // Tombstones only make sense inside a thread, see getCommentTree
+    const filter = { isDeleted: { $ne: true } }
     if (postId) filter.post = postId
     if (status) filter.status = status
     if (authorId) filter.author = authorId
@@ -79,10 +115,85 @@ exports.getAllComments = async (req, res, next) => {
     }
 }
 
+// GET TREE - Top-level threads of a post (paginated) with their replies nested up to ?depth
+// ?parentId= returns the replies under one comment instead, to load deeper levels and more replies later
+exports.getCommentTree = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, parentId } = req.query
+    const depth = Math.min(Math.max(parseInt(req.query.depth) || DEFAULT_TREE_DEPTH, 1), MAX_TREE_DEPTH)
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_TREE_LIMIT)
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+
+    const post = await Post.findById(req.params.id).select('_id')
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      })
+    }
+
+    const rootFilter = { post: post._id, parentComment: parentId || null, ...VISIBLE_IN_TREE }
+
+    const roots = await Comment.find(rootFilter)
+      .select(COMMENT_TREE_FIELDS)
+      .populate('author', 'username profile.avatar')
+      .limit(pageSize)
+      .skip(skip)
+      .sort({ createdAt: parentId ? 1 : -1 })
+      .lean()
+
+    const total = await Comment.countDocuments(rootFilter)
+
+    // One query per level, the oldest MAX_TREE_REPLIES replies of each comment
+    const nodes = new Map(roots.map(comment => [comment._id.toString(), toTreeNode(comment)]))
+    let level = roots
+    for (let d = 1; d < depth && level.length; d++) {
+      level = await Comment.aggregate([
+        { $match: { parentComment: { $in: level.map(c => c._id) }, ...VISIBLE_IN_TREE } },
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: '$parentComment', replies: { $push: '$$ROOT' } } },
+        { $project: { replies: { $slice: ['$replies', MAX_TREE_REPLIES] } } },
+        { $unwind: '$replies' },
+        { $replaceRoot: { newRoot: '$replies' } },
+        { $project: TREE_PROJECTION }
+      ])
+      await Comment.populate(level, { path: 'author', select: 'username profile.avatar' })
+
+      level.forEach(comment => {
+        const node = toTreeNode(comment)
+        nodes.set(comment._id.toString(), node)
+        nodes.get(comment.parentComment.toString()).replies.push(node)
+      })
+    }
+
+    // Direct reply counts, so the client knows where replies were cut by the depth or MAX_TREE_REPLIES
+    const counts = await Comment.aggregate([
+      { $match: { parentComment: { $in: [...nodes.values()].map(node => node._id) }, ...VISIBLE_IN_TREE } },
+      { $group: { _id: '$parentComment', count: { $sum: 1 } } }
+    ])
+    const countById = new Map(counts.map(c => [c._id.toString(), c.count]))
+    nodes.forEach((node, id) => {
+      node.replyCount = countById.get(id) || 0
+    })
+
+    res.status(200).json({
+      success: true,
+      count: roots.length,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: page,
+      depth,
+      data: roots.map(comment => nodes.get(comment._id.toString()))
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // GET BY ID - Full details with nested population
 exports.getCommentById = async (req, res, next) => {
   try {
-    const comment = await Comment.findById(req.params.id)
+    const comment = await Comment.findOne({ _id: req.params.id, isDeleted: { $ne: true } })
       .select(COMMENT_EXCLUDE_FIELDS)
       .populate({
         path: 'author',
@@ -98,11 +209,12 @@ exports.getCommentById = async (req, res, next) => {
       })
       .populate({
         path: 'parentComment',
-        select: 'content author createdAt',
+        select: 'content author createdAt isDeleted',
         populate: {
           path: 'author',
           select: 'username'
-        }
+        },
+        transform: hideTombstone
       })
       .populate({
         path: 'replies',
@@ -111,7 +223,8 @@ exports.getCommentById = async (req, res, next) => {
           path: 'author',
           select: 'username profile.avatar'
         },
-        options: { sort: { createdAt: 1 } }
+        options: { sort: { createdAt: 1 } },
+        transform: hideTombstone
       })
     
     if (!comment) {
@@ -142,6 +255,20 @@ exports.updateComment = async (req, res, next) => {
         message: 'Comment not found'
       })
     }
+
+    if (!isCommentAuthor(comment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      })
+    }
+
+    if (comment.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'A deleted comment cannot be edited'
+      })
+    }
     
     // Store original content before update
     if (content && content !== comment.content) {
@@ -168,13 +295,22 @@ exports.deleteComment = async (req, res, next) => {
         message: 'Comment not found'
       })
     }
+
+    // Admins can remove any comment as part of moderation
+    if (!isCommentAuthor(comment, req.user) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      })
+    }
     
-    // If comment has replies, soft delete by marking as rejected
+    // If comment has replies, keep it as a tombstone so they aren't orphaned
     const replyCount = await Comment.countDocuments({ parentComment: req.params.id })
     
     if (replyCount > 0) {
-      comment.status = 'rejected'
       comment.content = '[This comment has been deleted]'
+      comment.isDeleted = true
+      comment.deletedAt = new Date()
       await comment.save()
       
       return res.status(200).json({
@@ -184,6 +320,18 @@ exports.deleteComment = async (req, res, next) => {
     }
     
     await comment.deleteOne()
+    await Like.deleteMany({ targetType: 'Comment', target: comment._id })
+
+    // Tombstones left without replies have nothing to hold anymore
+    let parentId = comment.parentComment
+    while (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, isDeleted: true })
+      if (!parent || await Comment.exists({ parentComment: parentId })) break
+
+      await parent.deleteOne()
+      await Like.deleteMany({ targetType: 'Comment', target: parent._id })
+      parentId = parent.parentComment
+    }
     
     res.status(200).json({
       success: true,
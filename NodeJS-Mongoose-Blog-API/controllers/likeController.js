@@ -0,0 +1,111 @@
+// controllers/likeController.js
+const Like = require('../models/like')
+const Post = require('../models/post')
+const Comment = require('../models/comment')
+
+const POST_LIST_FIELDS = 'title slug excerpt author status tags views likes createdAt publishedAt'
+
+const MODELS = { Post, Comment }
+
+// The counter only moves when a Like document is really created or removed
+const setLike = async (req, res, next, targetType, liked) => {
+  try {
+    const Model = MODELS[targetType]
+
+    const target = await Model.findById(req.params.id).select('_id likes')
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `${targetType} not found`
+      })
+    }
+
+    const key = { user: req.user._id, targetType, target: target._id }
+    let changed = false
+
+    if (liked) {
+      try {
+        await Like.create(key)
+        changed = true
+      } catch (error) {
+        // Already liked
+        if (error.code !== 11000) throw error
+      }
+    } else {
+      const result = await Like.deleteOne(key)
+      changed = result.deletedCount > 0
+    }
+
+    let likes = target.likes
+    if (changed) {
+      const updated = await Model.findByIdAndUpdate(
+        target._id,
+        { $inc: { likes: liked ? 1 : -1 } },
+        { new: true }
+      ).select('likes')
+      likes = updated ? updated.likes : likes
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { liked, likes }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.likePost = (req, res, next) => setLike(req, res, next, 'Post', true)
+exports.unlikePost = (req, res, next) => setLike(req, res, next, 'Post', false)
+exports.likeComment = (req, res, next) => setLike(req, res, next, 'Comment', true)
+exports.unlikeComment = (req, res, next) => setLike(req, res, next, 'Comment', false)
+
+// Posts liked by the authenticated user, most recently liked first
+exports.getLikedPosts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query
+    // aggregate() doesn't cast, so the paging values must be real numbers
+    const pageSize = Math.max(parseInt(limit) || 10, 1)
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+
+    // Only the likes whose post still exists, so the totals agree with the data
+    const [result] = await Like.aggregate([
+      { $match: { user: req.user._id, targetType: 'Post' } },
+      { $lookup: { from: Post.collection.name, localField: 'target', foreignField: '_id', as: 'post', pipeline: [{ $project: { _id: 1 } }] } },
+      { $unwind: '$post' },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          likes: [
+            { $sort: { createdAt: -1 } },
+            { $skip: skip },
+            { $limit: pageSize },
+            { $project: { target: 1, createdAt: 1 } }
+          ]
+        }
+      }
+    ])
+
+    const count = result.total[0]?.count || 0
+
+    const posts = await Post.find({ _id: { $in: result.likes.map(like => like.target) } })
+      .select(POST_LIST_FIELDS)
+      .populate('author', 'username profile.firstName profile.lastName')
+    const postById = new Map(posts.map(post => [post.id, post]))
+
+    const data = result.likes
+      .filter(like => postById.has(like.target.toString())) // Deleted since the aggregation
+      .map(like => ({ ...postById.get(like.target.toString()).toJSON(), likedAt: like.createdAt }))
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total: count,
+      totalPages: Math.ceil(count / pageSize),
+      currentPage: page,
+      data
+    })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -1,6 +1,12 @@
 // controllers/postController.js
 const Post = require('../models/post')
 const Comment = require('../models/comment')
+const Like = require('../models/like')
+const PostView = require('../models/postView')
+const Revision = require('../models/revision')
+const { canManagePost } = require('../utils/permissions')
+const crypto = require('crypto')
+const { searchTerms, highlight, snippet } = require('../utils/search')
 
 // Fields for list view (lightweight)
 const POST_LIST_FIELDS = 'title slug excerpt author status tags views likes createdAt publishedAt'
@@ -8,14 +14,83 @@ const POST_LIST_FIELDS = 'title slug excerpt author status tags views likes crea
 // Fields to exclude in detail view
 const POST_EXCLUDE_FIELDS = '-__v'
 
+// Filters shared by the list and the search endpoints
+// Unpublished posts are only listed for admins, and for authors among their own posts
+const buildPostFilter = ({ status, author, tag, category }, user) => {
+  const filter = { status: 'published' }
+  if (typeof status === 'string' && status !== 'published' && user) {
+    filter.status = status
+    if (user.role !== 'admin') author = user.id
+  }
+  if (author) filter.author = author
+  if (tag) filter.tags = { $in: [tag] }
+  if (category) filter.categories = { $in: [category] }
+  return filter
+}
+
+// Drafts and scheduled posts (before their scheduledAt) only exist for their author and admins
+const canReadPost = (post, user) => post.status === 'published' || canManagePost(post, user)
+
+// Counts a view once per viewer in the PostView window, returns true when it was counted
+const recordView = async (post, req) => {
+  const viewer = req.user
+    ? req.user.id
+    : crypto.createHash('sha256').update(`${req.ip}|${req.get('user-agent') || ''}`).digest('hex')
+
+  try {
+    await PostView.create({ post: post._id, viewer })
+  } catch (error) {
+    // Already seen in the window
+    if (error.code === 11000) return false
+    throw error
+  }
+
+  await Post.updateOne({ _id: post._id }, { $inc: { views: 1 } })
+  post.views += 1
+  return true
+}
+
+// A "scheduled" post needs a scheduledAt in the future, other statuses drop it
+// existing is the stored post on updates, an edit that doesn't send the schedule keeps it
+// Returns an error message, or null when the body is fine
+const checkSchedule = (body, existing) => {
+  if ((body.status || existing?.status) !== 'scheduled') {
+    body.scheduledAt = null
+    return null
+  }
+
+  if (body.scheduledAt === undefined && existing?.scheduledAt) {
+    return null
+  }
+
+  const scheduledAt = new Date(body.scheduledAt)
+  if (!body.scheduledAt || isNaN(scheduledAt.getTime())) {
+    return 'scheduledAt is required for a scheduled post'
+  }
+  if (scheduledAt <= new Date()) {
+    return 'scheduledAt must be in the future'
+  }
+
+  body.scheduledAt = scheduledAt
+  return null
+}
+
 exports.createPost = async (req, res, next) => {
   try {
     delete req.body.views;
     delete req.body.likes;
 
+    const scheduleError = checkSchedule(req.body)
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      })
+    }
+
     const post = await Post.create({
       ...req.body,
-      author: req.body.author || req.user?.id // Fallback to authenticated user
+      author: req.user.id // The author is always the authenticated user
     })
         
     res.status(201).json({
@@ -33,24 +108,24 @@ exports.getAllPosts = async (req, res, next) => {
     const { 
       page = 1, 
       limit = 10, 
-      status = 'draft', 
+      status = 'published', 
       author, 
       tag,
       category,
       search 
     } = req.query
     
-    // Build filter
-    const filter = { status }
-    if (author) filter.author = author
-    if (tag) filter.tags = { $in: [tag] }
-    if (category) filter.categories = { $in: [category] }
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
-      ]
+    // ?search=a&search=b arrives as an array
+    if (search !== undefined && typeof search !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be a string'
+      })
     }
+
+    // Build filter
+    const filter = buildPostFilter({ status, author, tag, category }, req.user)
+    if (search) filter.$text = { $search: search }
     
     const posts = await Post.find(filter)
       .select(POST_LIST_FIELDS)  // Select specific fields only
@@ -74,6 +149,65 @@ exports.getAllPosts = async (req, res, next) => {
   }
 }
 
+// SEARCH - Ranked by text score, with highlighted title and snippet
+exports.searchPosts = async (req, res, next) => {
+  try {
+    const {
+      q,
+      page = 1,
+      limit = 10,
+      status = 'published',
+      tag,
+      category,
+      author
+    } = req.query
+
+    // ?q=a&q=b arrives as an array
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query (q) is required'
+      })
+    }
+
+    const filter = buildPostFilter({ status, author, tag, category }, req.user)
+    filter.$text = { $search: q }
+
+    const score = { score: { $meta: 'textScore' } }
+
+    const posts = await Post.find(filter, score)
+      .select(`${POST_LIST_FIELDS} content`)  // content is only used for the snippet
+      .populate('author', 'username profile.firstName profile.lastName')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
+      .lean()
+
+    const count = await Post.countDocuments(filter)
+
+    const terms = searchTerms(q)
+
+    const data = posts.map(({ content, ...post }) => ({
+      ...post,
+      highlights: {
+        title: highlight(post.title, terms),
+        snippet: snippet(content, terms)
+      }
+    }))
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      data
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // GET BY ID - Display all fields with full population
 exports.getPostById = async (req, res, next) => {
   try {
@@ -85,7 +219,7 @@ exports.getPostById = async (req, res, next) => {
       })
       .populate({
         path: 'comments',
-        match: { status: 'approved', parentComment: null },
+        match: { status: 'approved', parentComment: null, isDeleted: { $ne: true } },
         populate: {
           path: 'author',
           select: 'username profile.avatar'
@@ -93,16 +227,15 @@ exports.getPostById = async (req, res, next) => {
         options: { sort: { createdAt: -1 } }
       })
     
-    if (!post) {
+    if (!post || !canReadPost(post, req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       })
     }
     
-    // Increment views (optional: use findOneAndUpdate to avoid validation)
-    post.views += 1
-    await post.save({ validateBeforeSave: false })
+    // Previews by the author or an admin aren't views
+    if (post.status === 'published') await recordView(post, req)
     
     res.status(200).json({
       success: true,
@@ -124,7 +257,7 @@ exports.getPostBySlug = async (req, res, next) => {
       })
       .populate({
         path: 'comments',
-        match: { status: 'approved', parentComment: null },
+        match: { status: 'approved', parentComment: null, isDeleted: { $ne: true } },
         populate: [
           {
             path: 'author',
@@ -132,7 +265,7 @@ exports.getPostBySlug = async (req, res, next) => {
           },
           {
             path: 'replies',
-            match: { status: 'approved' },
+            match: { status: 'approved', isDeleted: { $ne: true } },
             populate: {
               path: 'author',
               select: 'username profile.avatar'
@@ -142,15 +275,15 @@ exports.getPostBySlug = async (req, res, next) => {
         options: { sort: { createdAt: -1 } }
       })
     
-    if (!post) {
+    if (!post || !canReadPost(post, req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       })
     }
     
-    post.views += 1
-    await post.save({ validateBeforeSave: false })
+    // Previews by the author or an admin aren't views
+    if (post.status === 'published') await recordView(post, req)
     
     res.status(200).json({
       success: true,
@@ -163,18 +296,50 @@ exports.getPostBySlug = async (req, res, next) => {
 
 exports.updatePost = async (req, res, next) => {
   try {
-    const post = await Post.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('author', 'username')
-    
-    if (!post) {
+    const existing = await Post.findById(req.params.id)
+
+    if (!existing) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       })
     }
+
+    if (!canManagePost(existing, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own posts'
+      })
+    }
+
+    // Counters and ownership can't be changed through an update
+    const updates = { ...req.body }
+    delete updates.author
+    delete updates.views
+    delete updates.likes
+    delete updates.publishedAt
+
+    const scheduleError = checkSchedule(updates, existing)
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      })
+    }
+
+    // findByIdAndUpdate skips the pre-save hook that stamps publishedAt
+    if (updates.status === 'published' && !existing.publishedAt) {
+      updates.publishedAt = new Date()
+    }
+
+    const post = await Post.findByIdAndUpdate(
+      req.params.id,
+      updates,
+      { new: true, runValidators: true }
+    ).populate('author', 'username')
+
+    // Keep the version that was replaced, once the update went through
+    await Revision.recordChange(existing, post, req.user._id)
     
     res.status(200).json({
       success: true,
@@ -195,8 +360,19 @@ exports.deletePost = async (req, res, next) => {
         message: 'Post not found'
       })
     }
+
+    if (!canManagePost(post, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own posts'
+      })
+    }
     
-    // Delete associated comments
+    // Delete associated comments, with their likes, and the post's likes and views
+    const commentIds = await Comment.find({ post: req.params.id }).distinct('_id')
+    await Like.deleteMany({ target: { $in: [post._id, ...commentIds] } })
+    await PostView.deleteMany({ post: req.params.id })
+    await Revision.deleteMany({ post: req.params.id })
     await Comment.deleteMany({ post: req.params.id })
     
     await post.deleteOne()
@@ -0,0 +1,176 @@
+// controllers/revisionController.js
+const Post = require('../models/post')
+const Revision = require('../models/revision')
+const { canManagePost } = require('../utils/permissions')
+const { diffLines } = require('../utils/diff')
+
+// Fields for list view (without the content)
+const REVISION_LIST_FIELDS = 'title excerpt editor createdAt'
+
+const REVISION_FIELDS = ['title', 'content', 'excerpt']
+
+// Loads the post and checks the user can manage it, sends the error response otherwise
+const findManagedPost = async (req, res) => {
+  const post = await Post.findById(req.params.id)
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    })
+    return null
+  }
+
+  if (!canManagePost(post, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'You can only access the revisions of your own posts'
+    })
+    return null
+  }
+
+  return post
+}
+
+const findRevision = (post, revisionId) =>
+  Revision.findOne({ _id: revisionId, post: post._id })
+
+exports.getRevisions = async (req, res, next) => {
+  try {
+    const post = await findManagedPost(req, res)
+    if (!post) return
+
+    const { page = 1, limit = 20 } = req.query
+    const pageSize = Math.max(parseInt(limit) || 20, 1)
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+
+    const revisions = await Revision.find({ post: post._id })
+      .select(REVISION_LIST_FIELDS)
+      .populate('editor', 'username')
+      .limit(pageSize)
+      .skip(skip)
+      .sort({ createdAt: -1 })
+
+    const count = await Revision.countDocuments({ post: post._id })
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      total: count,
+      totalPages: Math.ceil(count / pageSize),
+      currentPage: page,
+      data: revisions
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+exports.getRevisionById = async (req, res, next) => {
+  try {
+    const post = await findManagedPost(req, res)
+    if (!post) return
+
+    const revision = await findRevision(post, req.params.revisionId)
+      .populate('editor', 'username')
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Line diff from the revision to ?against=<revisionId>, or to the current post by default
+exports.diffRevision = async (req, res, next) => {
+  try {
+    const post = await findManagedPost(req, res)
+    if (!post) return
+
+    const revision = await findRevision(post, req.params.revisionId)
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      })
+    }
+
+    let against = post
+    if (req.query.against && req.query.against !== 'current') {
+      against = await findRevision(post, req.query.against)
+
+      if (!against) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision to compare against not found'
+        })
+      }
+    }
+
+    const changes = {}
+    REVISION_FIELDS.forEach(field => {
+      changes[field] = diffLines(revision[field], against[field])
+    })
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: revision._id,
+        to: against === post ? 'current' : against._id,
+        changed: REVISION_FIELDS.filter(field => (revision[field] || '') !== (against[field] || '')),
+        changes
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// The current version is kept as a new revision, so a restore can be undone
+// Like updatePost, the slug stays the same even when the title is restored
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    const post = await findManagedPost(req, res)
+    if (!post) return
+
+    const revision = await findRevision(post, req.params.revisionId)
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      })
+    }
+
+    const updates = {}
+    REVISION_FIELDS.forEach(field => {
+      if (revision[field] !== undefined) updates[field] = revision[field]
+    })
+
+    // findByIdAndUpdate doesn't run the pre-save hook that re-slugs on a new title
+    const restored = await Post.findByIdAndUpdate(
+      post._id,
+      updates,
+      { new: true, runValidators: true }
+    ).populate('author', 'username')
+
+    await Revision.recordChange(post, restored, req.user._id)
+
+    res.status(200).json({
+      success: true,
+      data: restored
+    })
+  } catch (error) {
+    next(error)
+  }
+}
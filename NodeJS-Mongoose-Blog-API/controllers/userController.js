@@ -1,6 +1,9 @@
 // controllers/userController.js
 const User = require('../models/user')
 const Post = require('../models/post')
+const Comment = require('../models/comment')
+const Like = require('../models/like')
+const PostView = require('../models/postView')
 
 // Fields to select when getting all users (lightweight)
 const USER_LIST_FIELDS = 'username email profile.firstName profile.lastName role isActive createdAt'
@@ -112,11 +115,23 @@ exports.getUserById = async (req, res, next) => {
 
 exports.updateUser = async (req, res, next) => {
   try {
+    const isAdmin = req.user.role === 'admin'
+
+    if (!isAdmin && req.params.id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update your own profile'
+      })
+    }
+
     // Prevent updating sensitive fields directly
     const updates = { ...req.body }
     delete updates.password
-    delete updates.role // Only admin should change role
     delete updates.email // Don't allow the user to change his/her email
+    if (!isAdmin) {
+      delete updates.role // Only admin should change role
+      delete updates.isActive
+    }
     
     const user = await User.findByIdAndUpdate(
       req.params.id,
@@ -151,9 +166,32 @@ exports.deleteUser = async (req, res, next) => {
       })
     }
     
-    // Optional: Cascade delete user's posts and comments
+    // The likes the user gave come off the counters of what they liked
+    await Like.removeByUser(user._id)
+
+    // Optional: Cascade delete user's posts and comments, with the likes and views they got
+    const postIds = await Post.find({ author: req.params.id }).distinct('_id')
+    let commentIds = await Comment.find({ $or: [{ author: req.params.id }, { post: { $in: postIds } }] }).distinct('_id')
+
+    // Like deleteComment, comments that other users replied to stay as tombstones so the replies aren't orphaned
+    const tombstoneIds = []
+    while (commentIds.length) {
+      const repliedTo = await Comment.find({ parentComment: { $in: commentIds }, _id: { $nin: commentIds } }).distinct('parentComment')
+      if (!repliedTo.length) break
+
+      const kept = new Set(repliedTo.map(id => id.toString()))
+      tombstoneIds.push(...repliedTo)
+      commentIds = commentIds.filter(id => !kept.has(id.toString()))
+    }
+
+    await Like.deleteMany({ target: { $in: [...postIds, ...commentIds] } })
+    await PostView.deleteMany({ post: { $in: postIds } })
     await Post.deleteMany({ author: req.params.id })
-    await Comment.deleteMany({ author: req.params.id })
+    await Comment.deleteMany({ _id: { $in: commentIds } })
+    await Comment.updateMany(
+      { _id: { $in: tombstoneIds } },
+      { content: '[This comment has been deleted]', isDeleted: true, deletedAt: new Date() }
+    )
     
     res.status(200).json({
       success: true,
@@ -0,0 +1,45 @@
+// jobs/publishScheduledPosts.js
+const Post = require('../models/post')
+
+const DEFAULT_INTERVAL_MS = 60 * 1000
+
+// Publishes every scheduled post whose time has come, publishedAt is the scheduled time
+const publishDuePosts = async () => {
+  const result = await Post.updateMany(
+    { status: 'scheduled', scheduledAt: { $lte: new Date() } },
+    [{ $set: { status: 'published', publishedAt: '$scheduledAt' } }],
+    { updatePipeline: true } // Mongoose 9 rejects update pipelines without this option
+  )
+
+  if (result.modifiedCount) {
+    console.log(`Published ${result.modifiedCount} scheduled post(s)`)
+  }
+
+  return result.modifiedCount
+}
+
+// Runs publishDuePosts every PUBLISH_INTERVAL_MS, returns a function that stops it
+const startScheduledPublishing = (intervalMs = Number(process.env.PUBLISH_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false
+
+  const tick = async () => {
+    // Skip a tick instead of overlapping a slow one
+    if (running) return
+    running = true
+    try {
+      await publishDuePosts()
+    } catch (error) {
+      console.error(`Scheduled publishing failed: ${error.message}`)
+    } finally {
+      running = false
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs)
+  timer.unref()
+  tick()
+
+  return () => clearInterval(timer)
+}
+
+module.exports = { publishDuePosts, startScheduledPublishing }
@@ -0,0 +1,74 @@
+// middlewares/auth.js
+const jwt = require('jsonwebtoken')
+const User = require('../models/user')
+
+// Verifies the "Authorization: Bearer <token>" header and loads the user into req.user
+exports.protect = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization
+
+    if (!header || !header.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, no token'
+      })
+    }
+
+    let decoded
+    try {
+      decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET)
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, invalid or expired token'
+      })
+    }
+
+    const user = await User.findById(decoded.id)
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user not found or inactive'
+      })
+    }
+
+    req.user = user
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Like protect, but anonymous requests (or bad tokens) just go on without req.user
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization
+
+    if (header && header.startsWith('Bearer ')) {
+      try {
+        const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET)
+        const user = await User.findById(decoded.id)
+        if (user && user.isActive) req.user = user
+      } catch (error) {
+        // Treated as anonymous
+      }
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Restricts a route to the given roles, must come after protect
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: `Role ${req.user.role} is not allowed to access this route`
+    })
+  }
+
+  next()
+}
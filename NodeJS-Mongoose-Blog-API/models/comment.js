@@ -49,6 +49,14 @@ const commentSchema = new mongoose.Schema({
       message: 'Status must be pending, approved, or rejected'
     },
     default: 'pending'
+  },
+  // A deleted comment that still has replies stays as a tombstone so the thread isn't broken
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -65,7 +73,8 @@ commentSchema.virtual('replies', {
 
 // Pre-save middleware to track edits
 commentSchema.pre('save', function() {
-  if (this.isModified('content') && !this.isNew) {
+  // Turning a comment into a tombstone (see deleteComment) is not an edit
+  if (this.isModified('content') && !this.isNew && !this.isDeleted) {
     // Save previous content to history
     this.editHistory.push({
       content: this._originalContent,
@@ -93,5 +102,6 @@ commentSchema.pre('save', function() {
 
 // Index for efficient querying
 commentSchema.index({ post: 1, createdAt: -1 })
+commentSchema.index({ post: 1, parentComment: 1, createdAt: -1 })
 
 module.exports = mongoose.model('Comment', commentSchema)
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose')
+
+// One document per (user, target), the unique index is what keeps the counters honest
+const likeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  targetType: {
+    type: String,
+    enum: {
+      values: ['Post', 'Comment'],
+      message: 'Target type must be Post or Comment'
+    },
+    required: [true, 'Target type is required']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: [true, 'Target is required']
+  }
+}, {
+  timestamps: true
+})
+
+likeSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true })
+// "Posts I liked", newest first
+likeSchema.index({ user: 1, targetType: 1, createdAt: -1 })
+likeSchema.index({ target: 1 })
+
+// Removes all the likes of a user and takes them back from the counters they incremented
+likeSchema.statics.removeByUser = async function(userId) {
+  const likes = await this.find({ user: userId }).select('targetType target')
+
+  for (const targetType of ['Post', 'Comment']) {
+    const ids = likes.filter(like => like.targetType === targetType).map(like => like.target)
+    if (ids.length) {
+      await mongoose.model(targetType).updateMany(
+        { _id: { $in: ids }, likes: { $gt: 0 } },
+        { $inc: { likes: -1 } }
+      )
+    }
+  }
+
+  await this.deleteMany({ user: userId })
+}
+
+module.exports = mongoose.model('Like', likeSchema)
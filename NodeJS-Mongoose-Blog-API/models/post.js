@@ -31,11 +31,15 @@ const postSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['draft', 'published', 'archived'],
-      message: 'Status must be draft, published, or archived'
+      values: ['draft', 'scheduled', 'published', 'archived'],
+      message: 'Status must be draft, scheduled, published, or archived'
     },
     default: 'draft'
   },
+  // When a "scheduled" post gets published, see jobs/publishScheduledPosts.js
+  scheduledAt: {
+    type: Date
+  },
   tags: [{
     type: String,
     trim: true,
@@ -115,5 +119,15 @@ postSchema.pre('save', function() {
 // Index for common queries
 postSchema.index({ status: 1, createdAt: -1 });
 postSchema.index({ tags: 1 });
+postSchema.index({ status: 1, scheduledAt: 1 });
+
+// Full-text search, a match in the title ranks higher than one in the content
+postSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  {
+    name: 'post_text_search',
+    weights: { title: 10, tags: 5, excerpt: 3, content: 1 }
+  }
+);
 
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
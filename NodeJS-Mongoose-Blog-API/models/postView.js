@@ -0,0 +1,26 @@
+const mongoose = require('mongoose')
+
+// A viewer counts once per post within VIEW_WINDOW_SECONDS, then the document expires
+const VIEW_WINDOW_SECONDS = 24 * 60 * 60
+
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // The user id when logged in, otherwise a hash of the IP and user agent
+  viewer: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: VIEW_WINDOW_SECONDS
+  }
+})
+
+postViewSchema.index({ post: 1, viewer: 1 }, { unique: true })
+
+module.exports = mongoose.model('PostView', postViewSchema)
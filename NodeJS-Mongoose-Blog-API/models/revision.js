@@ -0,0 +1,49 @@
+const mongoose = require('mongoose')
+
+// Snapshot of a post taken before each update, see updatePost
+const revisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post reference is required']
+  },
+  title: {
+    type: String
+  },
+  content: {
+    type: String
+  },
+  excerpt: {
+    type: String
+  },
+  // Who made the update that replaced this version
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+revisionSchema.index({ post: 1, createdAt: -1 })
+
+// Snapshot the current title/content/excerpt of a post
+revisionSchema.statics.snapshot = function(post, editor) {
+  return this.create({
+    post: post._id,
+    title: post.title,
+    content: post.content,
+    excerpt: post.excerpt,
+    editor
+  })
+}
+
+// Snapshots before (the version being replaced) only when after changed its title, content or excerpt
+// after is null when the post was deleted meanwhile, there is nothing to keep then
+revisionSchema.statics.recordChange = function(before, after, editor) {
+  const changed = after && ['title', 'content', 'excerpt'].some(field => (before[field] || '') !== (after[field] || ''))
+
+  return changed ? this.snapshot(before, editor) : null
+}
+
+module.exports = mongoose.model('Revision', revisionSchema)
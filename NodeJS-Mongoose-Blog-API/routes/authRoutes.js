@@ -0,0 +1,11 @@
+// routes/authRoutes.js
+const express = require('express')
+const router = express.Router()
+const authController = require('../controllers/authController')
+const { protect } = require('../middlewares/auth')
+
+router.post('/register', authController.register)
+router.post('/login', authController.login)
+router.get('/me', protect, authController.getMe)
+
+module.exports = router
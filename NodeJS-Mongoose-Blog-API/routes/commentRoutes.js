@@ -2,12 +2,17 @@
 const express = require('express')
 const router = express.Router()
 const commentController = require('../controllers/commentController')
+const likeController = require('../controllers/likeController')
+const { protect, authorize } = require('../middlewares/auth')
 
-router.post('/', commentController.createComment)
+router.post('/', protect, commentController.createComment)
 router.get('/', commentController.getAllComments)
 router.get('/:id', commentController.getCommentById)
-router.put('/:id', commentController.updateComment)
-router.delete('/:id', commentController.deleteComment)
-router.patch('/:id/approve', commentController.approveComment)
+// Users can only change their own comments, checked in the controller
+router.put('/:id', protect, commentController.updateComment)
+router.delete('/:id', protect, commentController.deleteComment)
+router.post('/:id/like', protect, likeController.likeComment)
+router.delete('/:id/like', protect, likeController.unlikeComment)
+router.patch('/:id/approve', protect, authorize('admin'), commentController.approveComment)
 
 module.exports = router
\ No newline at end of file
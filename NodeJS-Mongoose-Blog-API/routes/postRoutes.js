@@ -1,12 +1,30 @@
 const express = require('express')
 const router = express.Router()
 const postController = require('../controllers/postController')
+const commentController = require('../controllers/commentController')
+const likeController = require('../controllers/likeController')
+const revisionController = require('../controllers/revisionController')
+const { protect, authorize, optionalAuth } = require('../middlewares/auth')
 
-router.post('/', postController.createPost)
-router.get('/', postController.getAllPosts)
-router.get('/slug/:slug', postController.getPostBySlug)
-router.get('/:id', postController.getPostById)
-router.put('/:id', postController.updatePost)
-router.delete('/:id', postController.deletePost)
+router.post('/', protect, authorize('author', 'admin'), postController.createPost)
+// The logged in user can also list their own unpublished posts
+router.get('/', optionalAuth, postController.getAllPosts)
+router.get('/search', optionalAuth, postController.searchPosts)
+router.get('/liked', protect, likeController.getLikedPosts)
+// The logged in user is used to count their views once
+router.get('/slug/:slug', optionalAuth, postController.getPostBySlug)
+router.get('/:id', optionalAuth, postController.getPostById)
+router.post('/:id/like', protect, likeController.likePost)
+router.delete('/:id/like', protect, likeController.unlikePost)
+router.get('/:id/comments/tree', commentController.getCommentTree)
+// Authors can only change their own posts, checked in the controller
+router.put('/:id', protect, authorize('author', 'admin'), postController.updatePost)
+router.delete('/:id', protect, authorize('author', 'admin'), postController.deletePost)
+
+// Revisions, for the post's author and admins
+router.get('/:id/revisions', protect, authorize('author', 'admin'), revisionController.getRevisions)
+router.get('/:id/revisions/:revisionId', protect, authorize('author', 'admin'), revisionController.getRevisionById)
+router.get('/:id/revisions/:revisionId/diff', protect, authorize('author', 'admin'), revisionController.diffRevision)
+router.post('/:id/revisions/:revisionId/restore', protect, authorize('author', 'admin'), revisionController.restoreRevision)
 
 module.exports = router
\ No newline at end of file
@@ -2,11 +2,13 @@
 const express = require('express')
 const router = express.Router()
 const userController = require('../controllers/userController')
+const { protect, authorize } = require('../middlewares/auth')
 
-router.post('/', userController.createUser)
-router.get('/', userController.getAllUsers)
+// Sign up goes through /api/auth/register, creating users with any role is for admins
+router.post('/', protect, authorize('admin'), userController.createUser)
+router.get('/', protect, authorize('admin'), userController.getAllUsers)
 router.get('/:id', userController.getUserById)
-router.put('/:id', userController.updateUser)
-router.delete('/:id', userController.deleteUser)
+router.put('/:id', protect, userController.updateUser)
+router.delete('/:id', protect, authorize('admin'), userController.deleteUser)
 
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,31 @@
+// scripts/migrateCommentTombstones.js
+// One-off: before isDeleted, deleteComment soft-deleted a comment with replies by
+// rejecting it and replacing its content. Those comments are turned into tombstones,
+// otherwise the comment tree drops them and orphans their replies.
+require('dotenv').config()
+const mongoose = require('mongoose')
+const connectDB = require('../config/database')
+const Comment = require('../models/comment')
+
+// The placeholder deleteComment has always written
+const DELETED_CONTENT = '[This comment has been deleted]'
+
+const migrate = async () => {
+  await connectDB()
+
+  const result = await Comment.updateMany(
+    { status: 'rejected', content: DELETED_CONTENT, isDeleted: { $ne: true } },
+    // The last update of those comments was their deletion
+    [{ $set: { isDeleted: true, deletedAt: '$updatedAt' } }],
+    { updatePipeline: true, timestamps: false }
+  )
+
+  console.log(`Migrated ${result.modifiedCount} soft-deleted comment(s) to tombstones`)
+
+  await mongoose.disconnect()
+}
+
+migrate().catch((error) => {
+  console.error(`Migration failed: ${error.message}`)
+  process.exit(1)
+})
@@ -1,11 +1,13 @@
 // server.js
 require('dotenv').config();
 const app = require('./app');
+const { startScheduledPublishing } = require('./jobs/publishScheduledPosts');
 
 const PORT = process.env.PORT || 3000;
 
 const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startScheduledPublishing();
 });
 
 // Handle unhandled promise rejections
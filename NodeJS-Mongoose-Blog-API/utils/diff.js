@@ -0,0 +1,47 @@
+// utils/diff.js
+
+// Above this many lines on both sides the LCS table gets too big, fall back to remove-all/add-all
+const MAX_DIFF_CELLS = 4000000
+
+// Line diff based on the longest common subsequence
+// Returns [{ type: 'equal' | 'added' | 'removed', line }]
+const diffLines = (before = '', after = '') => {
+  const a = before ? before.split('\n') : []
+  const b = after ? after.split('\n') : []
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(line => ({ type: 'removed', line })),
+      ...b.map(line => ({ type: 'added', line }))
+    ]
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const changes = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', line: a[i] })
+      i++
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: 'removed', line: a[i++] })
+    } else {
+      changes.push({ type: 'added', line: b[j++] })
+    }
+  }
+  while (i < a.length) changes.push({ type: 'removed', line: a[i++] })
+  while (j < b.length) changes.push({ type: 'added', line: b[j++] })
+
+  return changes
+}
+
+module.exports = { diffLines }
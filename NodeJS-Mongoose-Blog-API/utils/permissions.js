@@ -0,0 +1,8 @@
+// utils/permissions.js
+
+// Admins can moderate any post, authors only their own
+// post.author can be populated, and user missing on routes with optionalAuth
+const canManagePost = (post, user) =>
+  !!user && (user.role === 'admin' || String(post.author?._id) === user.id)
+
+module.exports = { canManagePost }
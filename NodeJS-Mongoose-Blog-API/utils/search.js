@@ -0,0 +1,48 @@
+// utils/search.js
+
+// Escape user input before building a RegExp from it
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Escape HTML so only our <mark> tags reach the client
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Words of a $text query, without quotes and negated terms ("-word")
+const searchTerms = (query) => query
+  .split(/\s+/)
+  .filter(word => word && !word.startsWith('-'))
+  .map(word => word.replace(/"/g, ''))
+  .filter(Boolean)
+
+// Wraps every term found in the text with <mark></mark>
+const highlight = (text, terms) => {
+  if (!terms.length) return escapeHtml(text)
+
+  // With a capturing group, split() keeps the matches at the odd indexes
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi')
+  return text
+    .split(pattern)
+    .map((part, index) => index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('')
+}
+
+// A window of the text around the first term found (or its start), highlighted
+const snippet = (text = '', terms, length = 160) => {
+  const lower = text.toLowerCase()
+  const found = terms
+    .map(term => lower.indexOf(term.toLowerCase()))
+    .filter(index => index !== -1)
+
+  const first = found.length ? Math.min(...found) : 0
+  const start = Math.max(0, first - Math.floor(length / 3))
+  const end = Math.min(text.length, start + length)
+
+  return (start > 0 ? '...' : '') +
+    highlight(text.slice(start, end), terms) +
+    (end < text.length ? '...' : '')
+}
+
+module.exports = { searchTerms, highlight, snippet }